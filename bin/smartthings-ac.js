@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+// bin/smartthings-ac.js
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const url = require('url');
+const SmartThings = require('../lib/SmartThings');
+
+const PLATFORM_NAME = 'SmartThingsAC-KM81';
+
+const escapeHtml = s => String(s).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const USAGE = `사용법: smartthings-ac <명령> [옵션]
+
+명령:
+  auth               브라우저 인증(authorization code)으로 토큰 발급 후 저장
+  token status       저장된 토큰의 만료 시각/권한(scope) 확인
+  token refresh      리프레시 토큰으로 액세스 토큰 갱신
+  devices list       SmartThings 장치 목록(레이블, deviceId, capability) 출력
+
+옵션:
+  -U, --storage <경로>     Homebridge 저장소 경로 (기본: ~/.homebridge)
+  --account <이름>         config.json의 accounts 중 사용할 계정 (기본: 최상위 계정)
+  --client-id <값>         config.json 대신 사용할 Client ID
+  --client-secret <값>     config.json 대신 사용할 Client Secret
+  --redirect-uri <값>      config.json 대신 사용할 Redirect URI
+  --port <번호>            auth 콜백을 받을 로컬 포트 (기본: authServerPort 또는 8999)
+  --code <값>              이미 받은 인증 코드로 바로 토큰 발급 (auth)
+  --json                   devices list 결과를 JSON으로 출력
+  -v, --verbose            디버그 로그 출력
+  -h, --help               도움말`;
+
+function parseArgs(argv) {
+  const args = { _: [], storage: path.join(os.homedir(), '.homebridge') };
+  const valueFlags = {
+    '-U': 'storage', '--storage': 'storage',
+    '--client-id': 'clientId', '--client-secret': 'clientSecret', '--redirect-uri': 'redirectUri',
+    '--port': 'port', '--code': 'code', '--account': 'account',
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (valueFlags[a]) {
+      if (argv[i + 1] === undefined) throw new Error(`${a} 옵션에 값이 필요합니다.`);
+      args[valueFlags[a]] = argv[++i];
+    } else if (a === '--json') args.json = true;
+    else if (a === '-v' || a === '--verbose') args.verbose = true;
+    else if (a === '-h' || a === '--help') args.help = true;
+    else if (a.startsWith('-')) throw new Error(`알 수 없는 옵션: ${a}`);
+    else args._.push(a);
+  }
+  return args;
+}
+
+function makeLog(verbose) {
+  return {
+    info: (...a) => console.log(...a),
+    warn: (...a) => console.warn(...a),
+    error: (...a) => console.error(...a),
+    debug: (...a) => { if (verbose) console.log(...a); },
+  };
+}
+
+// Homebridge config.json의 플랫폼 설정을 기본값으로, 명령행 옵션이 우선
+function loadPlatformConfig(args) {
+  let platformCfg = {};
+  try {
+    const hbConfig = JSON.parse(fs.readFileSync(path.join(args.storage, 'config.json'), 'utf8'));
+    platformCfg = (hbConfig.platforms || []).find(p => p.platform === PLATFORM_NAME) || {};
+  } catch {
+    // config.json이 없으면 명령행 옵션만 사용
+  }
+  if (args.account) {
+    // 추가 계정: 계정 항목이 플랫폼 설정보다 우선하고, 토큰 파일은 계정 이름으로 구분
+    const name = args.account.normalize('NFC').trim();
+    const entry = (platformCfg.accounts || []).find(a => (a?.name || '').normalize('NFC').trim() === name);
+    if (!entry && !args.clientId) throw new Error(`config.json에서 '${name}' 계정을 찾을 수 없습니다.`);
+    platformCfg = {
+      ...platformCfg,
+      clientId: undefined,
+      clientSecret: undefined,
+      redirectUri: undefined,
+      ...entry,
+      accountName: name,
+    };
+  }
+  const config = {
+    ...platformCfg,
+    clientId: args.clientId || platformCfg.clientId,
+    clientSecret: args.clientSecret || platformCfg.clientSecret,
+    redirectUri: args.redirectUri || platformCfg.redirectUri,
+  };
+  if (!config.clientId || !config.clientSecret || !config.redirectUri) {
+    throw new Error('clientId, clientSecret, redirectUri를 찾을 수 없습니다. config.json 또는 명령행 옵션을 확인하세요.');
+  }
+  return config;
+}
+
+function createClient(args) {
+  const persistPath = path.join(args.storage, 'persist');
+  fs.mkdirSync(persistPath, { recursive: true });
+  const api = { user: { persistPath: () => persistPath, storagePath: () => args.storage } };
+  const config = loadPlatformConfig(args);
+  args.port = Number(args.port) || Number(config.authServerPort) || 8999;
+  return new SmartThings(makeLog(args.verbose), api, config);
+}
+
+// 조회 명령은 persist: false로 불러와 실행 중인 Homebridge가 쓰는 토큰 파일을 건드리지 않음
+async function requireTokens(st, { persist = true } = {}) {
+  if (!await st.init({ persist })) throw new Error('저장된 토큰이 없습니다. 먼저 `smartthings-ac auth`를 실행하세요.');
+  st.shutdown(); // 예약 갱신은 Homebridge에 맡김
+}
+
+function waitForCode(st, session, port) {
+  const callbackPath = new url.URL(st.config.redirectUri).pathname;
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const reqUrl = url.parse(req.url, true);
+      if (req.method !== 'GET' || reqUrl.pathname !== callbackPath) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found');
+        return;
+      }
+      let code;
+      try {
+        code = st.validateAuthCallback(session, reqUrl.query);
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(`<h1>인증 실패</h1><p>${escapeHtml(e.message)}</p>`);
+        console.warn(`인증 콜백 거부: ${e.message}`);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<h1>인증 성공!</h1><p>이 창을 닫고 터미널을 확인하세요.</p>');
+      clearTimeout(timer);
+      server.close();
+      resolve(code);
+    });
+    const timer = setTimeout(() => {
+      server.close();
+      reject(new Error('인증 URL이 만료되었습니다. 다시 실행하세요.'));
+    }, session.expiresAt - Date.now());
+    server.on('error', reject);
+    server.listen(port, st.config.authServerHost || '0.0.0.0', () => {
+      console.log(`콜백 대기 중: 포트 ${port}, 경로 ${callbackPath}`);
+    });
+  });
+}
+
+async function cmdAuth(args) {
+  const st = createClient(args);
+  let code = args.code;
+  let codeVerifier = null;
+  if (!code) {
+    const session = st.createAuthSession({ usePkce: !!st.config.authUsePkce });
+    codeVerifier = session.codeVerifier;
+    console.log('아래 URL을 브라우저에서 열고 SmartThings 권한을 허용하세요.');
+    console.log(session.url);
+    code = await waitForCode(st, session, args.port);
+  }
+  await st.getInitialTokens(code, codeVerifier);
+  console.log(`토큰 저장 완료: ${st.tokenPath}`);
+}
+
+async function cmdTokenStatus(args) {
+  const st = createClient(args);
+  await requireTokens(st, { persist: false });
+  const expiresAt = st.tokens.expires_at ? new Date(st.tokens.expires_at) : null;
+
+  console.log(`토큰 파일   : ${st.tokenPath}`);
+  console.log(`암호화     : ${st.tokenStore.secret ? '예' : '아니오'}`);
+  console.log(`저장 시각   : ${new Date(st.tokensSavedAt).toLocaleString()}`);
+  if (expiresAt) {
+    const remainMin = Math.round((expiresAt - Date.now()) / 60000);
+    console.log(`만료 시각   : ${expiresAt.toLocaleString()} (${remainMin > 0 ? `${remainMin}분 남음` : '만료됨'})`);
+  } else {
+    console.log('만료 시각   : 알 수 없음 (expires_at/expires_in 없음)');
+  }
+  console.log(`권한(scope) : ${st.tokens.scope || '알 수 없음'}`);
+  console.log(`리프레시    : ${st.tokens.refresh_token ? '있음' : '없음'}`);
+  if (st.getInstalledAppId()) console.log(`installedApp: ${st.getInstalledAppId()}`);
+}
+
+async function cmdTokenRefresh(args) {
+  const st = createClient(args);
+  await requireTokens(st);
+  await st.refreshToken();
+  st.shutdown();
+  // 이전 리프레시 토큰은 폐기됨. 실행 중인 Homebridge는 거부되면 이 토큰 파일을 다시 읽어 이어서 사용
+  console.log('액세스 토큰을 갱신했습니다. 실행 중인 Homebridge는 다음 요청 때 새 토큰 파일을 다시 불러옵니다.');
+}
+
+async function cmdDevicesList(args) {
+  const st = createClient(args);
+  await requireTokens(st, { persist: false });
+  const devices = await st.getDevices();
+  const rows = devices.map(d => ({
+    label: d.label,
+    deviceId: d.deviceId,
+    capabilities: (d.components || []).flatMap(c =>
+      (c.capabilities || []).map(cap => (c.id === 'main' ? cap.id : `${c.id}/${cap.id}`))
+    ),
+  }));
+
+  if (args.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  for (const row of rows) {
+    const isAc = row.capabilities.includes('airConditionerMode');
+    console.log(`${isAc ? '❄ ' : '  '}${row.label}`);
+    console.log(`    deviceId    : ${row.deviceId}`);
+    console.log(`    capabilities: ${row.capabilities.join(', ')}`);
+  }
+  console.log(`\n총 ${rows.length}개 (❄ = 에어컨)`);
+}
+
+const COMMANDS = {
+  'auth': cmdAuth,
+  'token status': cmdTokenStatus,
+  'token refresh': cmdTokenRefresh,
+  'devices list': cmdDevicesList,
+};
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const name = args._.join(' ');
+  if (args.help || !COMMANDS[name]) {
+    console.log(USAGE);
+    return args.help ? 0 : 1;
+  }
+  await COMMANDS[name](args);
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => { process.exitCode = code; })
+  .catch((e) => {
+    console.error(`오류: ${e.message}`);
+    process.exitCode = 1;
+  });
@@ -2,17 +2,42 @@
 'use strict';
 
 const SmartThings = require('./lib/SmartThings');
+const WebhookVerifier = require('./lib/WebhookVerifier');
+const StatusPoller = require('./lib/StatusPoller');
+const EnergyTracker = require('./lib/EnergyTracker');
+const TimerStore = require('./lib/TimerStore');
+const LocalApi = require('./lib/LocalApi');
+const ComfortController = require('./lib/ComfortController');
+const createEveCharacteristics = require('./lib/EveCharacteristics');
 const pkg = require('./package.json');
 const http = require('http');
 const url = require('url');
 const https = require('https');
 
-let Accessory, Service, Characteristic, UUIDGen;
+let Accessory, Service, Characteristic, UUIDGen, HapStatusError, HAPStatus, Eve;
 
 const PLATFORM_NAME = 'SmartThingsAC-KM81';
 const PLUGIN_NAME = 'homebridge-smartthings-ac-km81';
 
+const HEALTH_RECHECK_INTERVAL = 30 * 1000; // '응답 없음' 동안 연결 상태를 다시 확인하는 최소 간격
+const POWER_CHANGE_GRACE = 60 * 1000; // 꺼짐 예약을 건 직후 켜기 명령이 기기에 반영되기까지 허용하는 시간
+
 const normalizeKorean = s => (s || '').normalize('NFC').trim();
+const hasCapability = (stDevice, capabilityId) => (stDevice.components || [])
+  .some(c => (c.capabilities || []).some(cap => cap.id === capabilityId));
+const escapeHtml = s => String(s).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// 추가 계정의 로그 앞에 [계정 이름]을 붙이는 로거
+function prefixedLogger(log, prefix) {
+  const wrap = write => (message, ...args) => write.call(log, `[${prefix}] ${message}`, ...args);
+  return Object.assign(wrap(log), {
+    info: wrap(log.info),
+    warn: wrap(log.warn),
+    error: wrap(log.error),
+    debug: wrap(log.debug),
+    success: wrap(log.success || log.info),
+  });
+}
 
 // 숫자/경계 보정 유틸
 function clampNumber(value, min, max) {
@@ -52,15 +77,135 @@ function resolveTempProps(platformCfg = {}, deviceCfg = {}) {
   return { minValue: safeMin, maxValue: safeMax, minStep: safeStep };
 }
 
+// HomeKit 목표 상태 ↔ SmartThings airConditionerMode 매핑 ('none'이면 해당 상태 숨김)
+const MODE_CHOICES = {
+  cool: ['dry', 'cool'],
+  heat: ['none', 'heat'],
+  auto: ['none', 'auto', 'aIComfort', 'wind'],
+};
+// 설정값은 대소문자를 가리지 않고 SmartThings 표기(aIComfort 등)로 맞춤. log를 넘기면 쓸 수 없는 값을 경고
+function resolveModeMap(deviceCfg = {}, log = null) {
+  const pick = (key, setting, def) => {
+    const v = String(deviceCfg[setting] || '').trim();
+    if (!v) return def;
+    const mode = MODE_CHOICES[key].find(m => m.toLowerCase() === v.toLowerCase());
+    if (mode) return mode;
+    log?.warn(`[${deviceCfg.deviceLabel || deviceCfg.deviceId || '장치'}] ${setting} 값 '${v}'은(는) 지원하지 않습니다. 기본값 '${def}'을(를) 사용합니다. (가능한 값: ${MODE_CHOICES[key].join(', ')})`);
+    return def;
+  };
+  return {
+    cool: pick('cool', deviceCfg.coolCommand ? 'coolCommand' : 'coolModeCommand', 'dry'),
+    heat: pick('heat', 'heatModeCommand', 'none'),
+    auto: pick('auto', 'autoModeCommand', 'none'),
+  };
+}
+
+// 부가 모드(acOptionalMode) 스위치 표시 이름
+const OPTIONAL_MODE_NAMES = {
+  windFree: '무풍',
+  windFreeSleep: '무풍 취침',
+  speed: '쾌속',
+  sleep: '취침',
+  quiet: '저소음',
+  eco: '절약',
+  longWind: '원거리 바람',
+  smart: '스마트',
+};
+
+// 프리셋(presets) 한 항목 정리. 이름이 없거나 바꿀 값이 하나도 없으면 null
+const PRESET_FIELDS = ['mode', 'setpoint', 'fanMode', 'optionalMode', 'autoClean'];
+function normalizePreset(entry, tempProps) {
+  if (!entry || typeof entry !== 'object') return null;
+  const text = v => (typeof v === 'string' && v.trim() !== '' ? v.trim() : undefined);
+  const setpoint = entry.setpoint === '' || entry.setpoint == null ? NaN : Number(entry.setpoint);
+  const preset = {
+    name: normalizeKorean(entry.name),
+    mode: text(entry.mode),
+    setpoint: Number.isFinite(setpoint) ? clampNumber(setpoint, tempProps.minValue, tempProps.maxValue) : undefined,
+    fanMode: text(entry.fanMode),
+    optionalMode: text(entry.optionalMode),
+    autoClean: typeof entry.autoClean === 'boolean' ? entry.autoClean : undefined,
+  };
+  if (!preset.name || PRESET_FIELDS.every(f => preset[f] === undefined)) return null;
+  return preset;
+}
+
+// 프리셋을 적용하는 기능 명령 목록 (전원 켜기 포함, 한 번의 /commands 요청으로 전송)
+function presetCommands(preset) {
+  const steps = [{ name: 'power', fallbackCommand: 'on' }];
+  if (preset.mode !== undefined) steps.push({ name: 'mode', args: [preset.mode] });
+  if (preset.setpoint !== undefined) steps.push({ name: 'coolingSetpoint', args: [preset.setpoint] });
+  if (preset.fanMode !== undefined) steps.push({ name: 'fanMode', args: [preset.fanMode] });
+  if (preset.optionalMode !== undefined) steps.push({ name: 'optionalMode', args: [preset.optionalMode] });
+  if (preset.autoClean !== undefined) steps.push({ name: 'autoClean', args: [preset.autoClean ? 'on' : 'off'] });
+  return steps;
+}
+
+// 풍량(fanMode) ↔ RotationSpeed(%) 매핑. 'auto'는 0% 또는 첫/마지막 단계로 표현
+const FAN_LEVELS = ['low', 'medium', 'high', 'turbo'];
+function resolveFanSteps(supportedFanModes, autoPosition = 'zero') {
+  const supported = Array.isArray(supportedFanModes) && supportedFanModes.length > 0
+    ? supportedFanModes
+    : ['auto', ...FAN_LEVELS];
+  const steps = FAN_LEVELS.filter(m => supported.includes(m));
+  const hasAuto = supported.includes('auto');
+  if (hasAuto && autoPosition === 'first') steps.unshift('auto');
+  if (hasAuto && autoPosition === 'last') steps.push('auto');
+  return { steps, autoAtZero: hasAuto && autoPosition === 'zero' };
+}
+function fanModeToSpeed(fanMode, fanSteps) {
+  const idx = fanSteps.steps.indexOf(fanMode);
+  if (idx === -1) return 0; // 0% 위치의 auto 또는 알 수 없는 풍량
+  return (idx + 1) * 100 / fanSteps.steps.length;
+}
+function speedToFanMode(speed, fanSteps) {
+  const n = fanSteps.steps.length;
+  if (n === 0) return 'auto';
+  if (speed <= 0) return fanSteps.autoAtZero ? 'auto' : fanSteps.steps[0];
+  const idx = Math.min(n - 1, Math.max(0, Math.round(speed * n / 100) - 1));
+  return fanSteps.steps[idx];
+}
+function fanSpeedProps(fanSteps) {
+  const n = Math.max(fanSteps.steps.length, 1);
+  return { minValue: 0, maxValue: 100, minStep: 100 / n };
+}
+
+// 미세먼지 농도(µg/m³) → HomeKit AirQuality 단계. 임계값 4개는 EXCELLENT/GOOD/FAIR/INFERIOR의 상한, 초과 시 POOR
+const AQI_BANDS = {
+  pm25: [8, 15, 35, 75], // 환경부 PM2.5 좋음(15)/보통(35)/나쁨(75) 기준에 '매우 좋음' 추가
+  pm10: [15, 30, 80, 150],
+};
+function resolveAqiBands(platformCfg = {}) {
+  const pick = (value, def) => (
+    Array.isArray(value) && value.length === 4 && value.every(Number.isFinite) ? [...value].sort((a, b) => a - b) : def
+  );
+  return {
+    pm25: pick(platformCfg.airQualityPm25Thresholds, AQI_BANDS.pm25),
+    pm10: pick(platformCfg.airQualityPm10Thresholds, AQI_BANDS.pm10),
+  };
+}
+function airQualityLevel(value, thresholds) {
+  if (value == null) return 0; // UNKNOWN
+  const idx = thresholds.findIndex(limit => value <= limit);
+  return idx === -1 ? 5 : idx + 1;
+}
+
 module.exports = (homebridge) => {
   Accessory = homebridge.platformAccessory;
   Service = homebridge.hap.Service;
   Characteristic = homebridge.hap.Characteristic;
   UUIDGen = homebridge.hap.uuid;
+  HapStatusError = homebridge.hap.HapStatusError;
+  HAPStatus = homebridge.hap.HAPStatus;
+  Eve = createEveCharacteristics(homebridge.hap);
 
   homebridge.registerPlatform(PLUGIN_NAME, PLATFORM_NAME, SmartThingsACPlatform);
 };
 
+// 테스트에서 쓰는 순수 함수
+module.exports.resolveTempProps = resolveTempProps;
+module.exports.resolveModeMap = resolveModeMap;
+
 class SmartThingsACPlatform {
   constructor(log, config, api) {
     this.log = log;
@@ -68,110 +213,452 @@ class SmartThingsACPlatform {
     this.api = api;
     this.accessories = [];
     this.server = null;
+    this.bindings = new Map(); // deviceId -> Map<Characteristic, { service, characteristic, getter }>
+    this.deviceIds = new Set(); // HomeKit에 연동된 SmartThings deviceId (모든 계정)
+    this.deviceAccounts = new Map(); // deviceId -> 장치를 연동한 계정
+    this.sensorLinks = new Map(); // 외부 온도 센서 deviceId -> Set<에어컨 deviceId>
+    this.failedSensors = new Set(); // 조회 실패를 이미 경고한 외부 온도 센서
+    this.comfort = new Map(); // 에어컨 deviceId -> Map<component, ComfortController>
 
-    if (!config || !config.clientId || !config.clientSecret || !config.redirectUri) {
-      this.log.error('SmartThings 인증 정보(clientId, clientSecret, redirectUri)가 설정되지 않았습니다.');
-      return;
-    }
-    if (!config.devices || !Array.isArray(config.devices) || config.devices.length === 0) {
-      this.log.error('연동할 디바이스가 설정되지 않았습니다.');
-      return;
-    }
+    this.accounts = this._resolveAccounts(config || {});
+    if (this.accounts.length === 0) return;
 
-    this.smartthings = new SmartThings(this.log, this.api, this.config);
+    this.webhookVerifier = this.config.webhookEnabled ? new WebhookVerifier(this.log) : null;
+    this.energy = new EnergyTracker(this.log, this.api.user.persistPath());
+    this.timers = new TimerStore(this.log, this.api.user.persistPath());
+    this.localApi = this._createLocalApi();
 
     if (this.api) {
       this.log.info('SmartThings AC 플랫폼 초기화 중...');
       this.api.on('didFinishLaunching', async () => {
         this.log.info('Homebridge 실행 완료. 인증 상태 확인 및 장치 검색을 시작합니다.');
-        const hasToken = await this.smartthings.init();
-        if (hasToken) {
-          await this.discoverDevices();
-        } else {
-          this.startAuthServer();
+        await this.energy.load();
+        await this.timers.load();
+        if (this.config.webhookEnabled) this._startHttpServer();
+        if (this.localApi) this.localApi.start();
+        for (const account of this.accounts) {
+          if (await account.smartthings.init()) {
+            await this._startAccount(account);
+          } else {
+            this.startAuthServer(account);
+          }
         }
       });
+      for (const account of this.accounts) {
+        const { smartthings } = account;
+        smartthings.on('reauthRequired', () => {
+          if (account.poller) account.poller.stop();
+          this.startAuthServer(account);
+        });
+        // 낙관적 상태가 실제와 달랐던 경우 HomeKit 값을 되돌림
+        smartthings.on('stateDiverged', deviceId => this.refreshDevice(deviceId));
+        // 연결이 끊기면 바로 '응답 없음', 돌아오면 최신 값 푸시
+        smartthings.health.on('change', (deviceId) => {
+          if (smartthings.health.isResponding(deviceId)) this.refreshDevice(deviceId);
+          else this._markNotResponding(deviceId);
+        });
+      }
+      this.api.on('shutdown', () => {
+        for (const account of this.accounts) {
+          account.smartthings.shutdown();
+          if (account.poller) account.poller.stop();
+          if (account.authTimer) clearTimeout(account.authTimer);
+        }
+        for (const controllers of this.comfort.values()) {
+          for (const controller of controllers.values()) controller.stop();
+        }
+        this.energy.flushSync();
+        this.timers.shutdown();
+        if (this.localApi) this.localApi.stop();
+      });
+    }
+  }
+
+  // 최상위 clientId/clientSecret/redirectUri는 기본 계정, accounts 배열의 각 항목은 추가 계정.
+  // 추가 계정은 플랫폼 설정을 물려받되 인증 정보, 장치 목록, 토큰 파일을 따로 가짐
+  _resolveAccounts(config) {
+    const { accounts: entries, ...platformConfig } = config;
+    const candidates = [];
+    if (config.clientId || config.clientSecret || config.redirectUri || !Array.isArray(entries) || entries.length === 0) {
+      candidates.push({ name: null, config: platformConfig });
+    }
+
+    const names = new Set();
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const name = normalizeKorean(entry?.name);
+      if (!name) {
+        this.log.warn('이름(name)이 없는 계정 설정을 건너뜁니다.');
+        continue;
+      }
+      if (names.has(name)) {
+        this.log.warn(`계정 이름 '${name}'이(가) 중복되어 건너뜁니다.`);
+        continue;
+      }
+      names.add(name);
+      candidates.push({
+        name,
+        config: {
+          ...platformConfig,
+          ...entry,
+          accountName: name,
+          devices: entry.devices || [],
+          deviceDefaults: { ...platformConfig.deviceDefaults, ...entry.deviceDefaults },
+        },
+      });
+    }
+
+    const accounts = [];
+    for (const { name, config: accountConfig } of candidates) {
+      const label = name ? `'${name}' 계정: ` : '';
+      if (!accountConfig.clientId || !accountConfig.clientSecret || !accountConfig.redirectUri) {
+        this.log.error(`${label}SmartThings 인증 정보(clientId, clientSecret, redirectUri)가 설정되지 않았습니다.`);
+        continue;
+      }
+      const hasDevices = Array.isArray(accountConfig.devices) && accountConfig.devices.length > 0;
+      if (!hasDevices && !accountConfig.autoDiscover) {
+        this.log.error(`${label}연동할 디바이스가 설정되지 않았습니다. (devices 또는 autoDiscover 필요)`);
+        continue;
+      }
+      accounts.push(this._createAccount(name, accountConfig));
+    }
+    return accounts;
+  }
+
+  // 계정마다 SmartThings 클라이언트(토큰 파일), 폴링, 인증 세션을 따로 둠.
+  // 추가 계정의 액세서리 UUID는 계정 이름으로 구분 (기본 계정은 기존 UUID 유지)
+  _createAccount(name, config) {
+    const log = name ? prefixedLogger(this.log, name) : this.log;
+    const account = {
+      id: name || 'default',
+      name,
+      namespace: name ? `account:${name}` : null,
+      config,
+      log,
+      smartthings: new SmartThings(log, this.api, config),
+      poller: null,
+      authSession: null,
+      authTimer: null,
+      deviceIds: new Set(),
+      activeUUIDs: new Set(), // 이번 동기화에서 생성/갱신된 액세서리 UUID
+    };
+    if (Number(config.pollingInterval) > 0) {
+      account.poller = new StatusPoller({
+        log,
+        smartthings: account.smartthings,
+        intervalSec: config.pollingInterval,
+        getDeviceIds: () => [...account.deviceIds, ...this._sensorIds(account)],
+        onChange: (deviceId) => this.refreshDevice(deviceId),
+      });
+    }
+    return account;
+  }
+
+  // 장치를 연동한 계정. 외부 온도 센서는 연결된 에어컨의 계정, 아직 연동 전인 장치는 첫 번째 계정
+  _accountFor(deviceId) {
+    const account = this.deviceAccounts.get(deviceId);
+    if (account) return account;
+    const [linked] = this.sensorLinks.get(deviceId) || [];
+    return (linked && this.deviceAccounts.get(linked)) || this.accounts[0];
+  }
+
+  // 계정의 에어컨에 연결된 외부 온도 센서 중 따로 연동되지 않은 장치 (폴링/Webhook 구독 대상)
+  _sensorIds(account) {
+    return [...this.sensorLinks.keys()].filter(id => !this.deviceIds.has(id) && this._accountFor(id) === account);
+  }
+
+  // SmartThings 호출에 쓸 클라이언트 (target 또는 deviceId)
+  _st(target) {
+    return this._accountFor(typeof target === 'string' ? target : target?.deviceId).smartthings;
+  }
+
+  // 액세서리 UUID. 추가 계정은 계정 이름을 붙여 다른 계정의 같은 장치와 겹치지 않게 함
+  _uuid(deviceId, keySuffix) {
+    const key = keySuffix ? `${deviceId}:${keySuffix}` : deviceId;
+    const { namespace } = this._accountFor(deviceId);
+    return UUIDGen.generate(namespace ? `${namespace}:${key}` : key);
+  }
+
+  // 진단/스크립트용 로컬 API (localApiEnabled). 토큰 없이는 열지 않음
+  _createLocalApi() {
+    if (!this.config.localApiEnabled) return null;
+    const token = String(this.config.localApiToken || '').trim();
+    if (token.length < 16) {
+      this.log.error('로컬 API 토큰(localApiToken)이 없거나 너무 짧아(16자 미만) 로컬 API를 시작하지 않습니다.');
+      return null;
     }
+    return new LocalApi({
+      log: this.log,
+      token,
+      port: Number(this.config.localApiPort) || 8998,
+      host: this.config.localApiHost || '127.0.0.1',
+      getAccounts: () => this.accounts.map(({ id, smartthings }) => ({ id, smartthings })),
+      getClient: (deviceId) => this._st(deviceId),
+      getDevices: () => [...this.deviceIds].map(deviceId => ({
+        deviceId,
+        name: this._deviceName(deviceId),
+        account: this._accountFor(deviceId).id,
+        energy: this.energy.summary(deviceId),
+      })),
+      onCommand: (deviceId) => this.refreshDevice(deviceId),
+    });
   }
 
-  startAuthServer() {
-    if (this.server) this.server.close();
+  // 계정별로 토큰 확보 후 공통 시작 절차: 장치 검색 → Webhook 구독 → 폴링
+  async _startAccount(account) {
+    await this.discoverDevices(account);
+    // 이 계정이 연동한 장치의 예약만 시작 (다른 계정 장치의 예약은 그 계정이 연동한 뒤에)
+    this.timers.start((key, entry) => this._onTimerExpired(key, entry), entry => account.deviceIds.has(entry.deviceId));
+    if (this.config.webhookEnabled) await this._subscribeDevices(account);
+    if (account.poller) account.poller.start();
+  }
 
-    const listenPort = 8999;
+  // OAuth 콜백(GET)과 Webhook(POST)을 함께 받는 HTTP 서버. Webhook 모드에서는 상시 실행
+  _startHttpServer(onListening) {
+    const listenPort = Number(this.config.authServerPort) || 8999;
+    const listenHost = this.config.authServerHost || '0.0.0.0';
+
+    if (this.server) {
+      if (onListening) onListening(listenPort);
+      return;
+    }
 
     this.server = http.createServer(async (req, res) => {
-      let body = '';
-      req.on('data', chunk => { body += chunk.toString(); });
+      const chunks = [];
+      req.on('data', chunk => { chunks.push(chunk); });
       req.on('end', async () => {
+        const rawBody = Buffer.concat(chunks);
         const reqUrl = url.parse(req.url, true);
 
-        if (req.method === 'GET' && reqUrl.pathname === new url.URL(this.config.redirectUri).pathname) {
+        if (req.method === 'GET' && this.accounts.some(a => new url.URL(a.config.redirectUri).pathname === reqUrl.pathname)) {
           await this._handleOAuthCallback(req, res, reqUrl);
         } else if (req.method === 'POST') {
-          this._handleWebhookConfirmation(req, res, body);
+          await this._handleWebhook(req, res, rawBody);
         } else {
           res.writeHead(404, {'Content-Type': 'text/plain'});
           res.end('Not Found');
         }
       });
-    }).listen(listenPort, () => {
-      const scope = 'r:devices:* w:devices:* x:devices:*';
-      const authUrl = `https://api.smartthings.com/oauth/authorize?client_id=${this.config.clientId}&scope=${encodeURIComponent(scope)}&response_type=code&redirect_uri=${encodeURIComponent(this.config.redirectUri)}`;
-
-      this.log.warn('====================[ 스마트싱스 인증 필요 ]====================');
-      this.log.warn(`1. 임시 인증 서버가 포트 ${listenPort}에서 실행 중입니다.`);
-      this.log.warn('2. 아래 URL을 복사하여 웹 브라우저에서 열고, 스마트싱스에 로그인하여 권한을 허용해주세요.');
-      this.log.warn(`인증 URL: ${authUrl}`);
-      this.log.warn('3. 권한 허용 후, 자동으로 인증이 처리됩니다.');
-      this.log.warn('================================================================');
+    }).listen(listenPort, listenHost, () => {
+      if (onListening) onListening(listenPort);
+      else this.log.info(`Webhook 서버가 ${listenHost}:${listenPort}에서 실행 중입니다.`);
     });
 
     this.server.on('error', (e) => { this.log.error(`인증 서버 오류: ${e.message}`); });
   }
 
+  _stopHttpServer() {
+    if (this.config.webhookEnabled || !this.server) return;
+    if (this.accounts.some(a => a.authSession)) return; // 다른 계정이 아직 인증 대기 중
+    this.server.close();
+    this.server = null;
+  }
+
+  // 계정의 인증 세션(state/PKCE)을 새로 만들고 URL을 안내. 세션이 만료되면 새 URL로 다시 안내.
+  // 여러 계정이 동시에 인증을 기다리면 한 서버에서 콜백의 state로 계정을 구분
+  startAuthServer(account) {
+    const { log } = account;
+    if (account.authTimer) clearTimeout(account.authTimer);
+    account.authSession = account.smartthings.createAuthSession({ usePkce: !!account.config.authUsePkce });
+    account.authTimer = setTimeout(() => {
+      log.warn('인증 URL이 만료되어 새로 발급합니다.');
+      this.startAuthServer(account);
+    }, account.authSession.expiresAt - Date.now());
+    account.authTimer.unref?.();
+
+    const session = account.authSession;
+    this._startHttpServer((listenPort) => {
+      log.warn('====================[ 스마트싱스 인증 필요 ]====================');
+      log.warn(`1. 임시 인증 서버가 포트 ${listenPort}에서 실행 중입니다.`);
+      log.warn('2. 아래 URL을 복사하여 웹 브라우저에서 열고, 스마트싱스에 로그인하여 권한을 허용해주세요.');
+      log.warn(`인증 URL: ${session.url}`);
+      log.warn(`3. 권한 허용 후, 자동으로 인증이 처리됩니다. (URL 유효시간 ${Math.round((session.expiresAt - Date.now()) / 60000)}분)`);
+      log.warn('================================================================');
+    });
+  }
+
   async _handleOAuthCallback(req, res, reqUrl) {
-    const code = reqUrl.query.code;
-    if (code) {
-      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-      res.end('<h1>인증 성공!</h1><p>SmartThings 인증에 성공했습니다. 이 창을 닫고 Homebridge를 재시작해주세요.</p>');
-      this.log.info('인증 코드를 성공적으로 수신했습니다. 토큰을 발급받습니다...');
-      try {
-        await this.smartthings.getInitialTokens(code);
-        this.log.info('최초 토큰 발급 완료! Homebridge를 재시작하면 장치가 연동됩니다.');
-        if (this.server) this.server.close();
-      } catch (e) {
-        this.log.error('수신된 코드로 토큰 발급 중 오류 발생:', e.message);
-      }
-    } else {
+    // state가 맞는 계정. 없으면 인증 대기 중인 계정으로 검증해 만료/불일치 사유를 알려줌
+    const account = this.accounts.find(a => a.authSession && a.authSession.state === reqUrl.query.state) ||
+      this.accounts.find(a => a.authSession) || this.accounts[0];
+    const { log } = account;
+    let code;
+    try {
+      code = account.smartthings.validateAuthCallback(account.authSession, reqUrl.query);
+    } catch (e) {
+      log.warn(`인증 콜백 거부: ${e.message}`);
       res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
-      res.end('<h1>인증 실패</h1><p>URL에서 인증 코드를 찾을 수 없습니다.</p>');
+      res.end(`<h1>인증 실패</h1><p>${escapeHtml(e.message)}</p>`);
+      return;
     }
-  }
 
-  _handleWebhookConfirmation(req, res, body) {
+    const { codeVerifier } = account.authSession;
+    account.authSession = null; // 같은 state로 재사용 불가
+    clearTimeout(account.authTimer);
+    log.info('인증 코드를 성공적으로 수신했습니다. 토큰을 발급받습니다...');
     try {
-      const payload = JSON.parse(body);
-      if (payload.lifecycle === 'CONFIRMATION' && payload.confirmationData?.confirmationUrl) {
-        const confirmationUrl = payload.confirmationData.confirmationUrl;
-        this.log.info('스마트싱스로부터 Webhook CONFIRMATION 요청을 수신했습니다. 확인 URL에 접속합니다...');
-        this.log.info(`확인 URL: ${confirmationUrl}`);
-
-        https.get(confirmationUrl, (confirmRes) => {
-          this.log.info(`Webhook 확인 완료, 상태 코드: ${confirmRes.statusCode}`);
-        }).on('error', (e) => {
-          this.log.error(`Webhook 확인 요청 오류: ${e.message}`);
-        });
+      await account.smartthings.getInitialTokens(code, codeVerifier);
+    } catch (e) {
+      log.error('수신된 코드로 토큰 발급 중 오류 발생:', e.message);
+      res.writeHead(500, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<h1>인증 실패</h1><p>토큰 발급에 실패했습니다. Homebridge 로그의 새 인증 URL로 다시 시도해주세요.</p>');
+      this.startAuthServer(account);
+      return;
+    }
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ "targetUrl": confirmationUrl }));
-      } else {
-        res.writeHead(200);
-        res.end();
-      }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<h1>인증 성공!</h1><p>SmartThings 인증에 성공했습니다. 장치 연동을 시작합니다. 이 창을 닫아도 됩니다.</p>');
+    log.info('최초 토큰 발급 완료! 장치 검색을 시작합니다.');
+    this._stopHttpServer();
+    await this._startAccount(account);
+  }
+
+  _sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  async _handleWebhook(req, res, rawBody) {
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
     } catch (e) {
       this.log.error('POST 요청 처리 중 오류:', e.message);
       res.writeHead(400);
       res.end();
+      return;
+    }
+
+    if (payload.lifecycle === 'CONFIRMATION') {
+      this._handleWebhookConfirmation(res, payload);
+      return;
+    }
+    if (!this.config.webhookEnabled) {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
+
+    if (this.config.webhookVerifySignature !== false && !await this.webhookVerifier.verify(req, rawBody)) {
+      this.log.warn(`서명이 올바르지 않은 Webhook 요청을 거부했습니다. (lifecycle: ${payload.lifecycle})`);
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    try {
+      switch (payload.lifecycle) {
+        case 'PING':
+          this._sendJson(res, 200, { pingData: { challenge: payload.pingData?.challenge } });
+          break;
+        case 'CONFIGURATION':
+          this._sendJson(res, 200, this._webhookConfiguration(payload.configurationData));
+          break;
+        case 'INSTALL':
+        case 'UPDATE': {
+          const data = payload.lifecycle === 'INSTALL' ? payload.installData : payload.updateData;
+          this._sendJson(res, 200, payload.lifecycle === 'INSTALL' ? { installData: {} } : { updateData: {} });
+          const installedAppId = data?.installedApp?.installedAppId;
+          this.log.info(`SmartApp ${payload.lifecycle} 수신 (installedAppId: ${installedAppId})`);
+          const account = installedAppId && this._accountForInstall(installedAppId);
+          if (account) {
+            await account.smartthings.setInstalledAppId(installedAppId);
+            await this._subscribeDevices(account, data.authToken);
+          } else if (installedAppId) {
+            this.log.warn(`installedAppId ${installedAppId}에 해당하는 계정을 찾지 못해 구독하지 않습니다.`);
+          }
+          break;
+        }
+        case 'EVENT':
+          this._sendJson(res, 200, { eventData: {} });
+          this._handleWebhookEvents(payload.eventData?.events || []);
+          break;
+        case 'UNINSTALL':
+          this.log.warn('SmartApp UNINSTALL 수신: 장치 이벤트 구독이 해제되었습니다.');
+          this._sendJson(res, 200, { uninstallData: {} });
+          break;
+        default:
+          this.log.debug(`처리하지 않는 Webhook lifecycle: ${payload.lifecycle}`);
+          this._sendJson(res, 200, {});
+      }
+    } catch (e) {
+      this.log.error(`Webhook ${payload.lifecycle} 처리 중 오류:`, e.message);
+      if (!res.headersSent) {
+        res.writeHead(500);
+        res.end();
+      }
+    }
+  }
+
+  _handleWebhookConfirmation(res, payload) {
+    const confirmationUrl = payload.confirmationData?.confirmationUrl;
+    if (!confirmationUrl) {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
+    this.log.info('스마트싱스로부터 Webhook CONFIRMATION 요청을 수신했습니다. 확인 URL에 접속합니다...');
+    this.log.info(`확인 URL: ${confirmationUrl}`);
+
+    https.get(confirmationUrl, (confirmRes) => {
+      this.log.info(`Webhook 확인 완료, 상태 코드: ${confirmRes.statusCode}`);
+    }).on('error', (e) => {
+      this.log.error(`Webhook 확인 요청 오류: ${e.message}`);
+    });
+
+    this._sendJson(res, 200, { targetUrl: confirmationUrl });
+  }
+
+  // 설정 화면 없이 바로 설치되는 최소 SmartApp 구성
+  _webhookConfiguration(configurationData = {}) {
+    if (configurationData.phase === 'INITIALIZE') {
+      return {
+        configurationData: {
+          initialize: {
+            name: 'Homebridge AC',
+            description: 'Homebridge SmartThings AC 이벤트 수신',
+            id: 'homebridge-ac',
+            permissions: ['r:devices:*'],
+            firstPageId: '1',
+          },
+        },
+      };
+    }
+    return {
+      configurationData: {
+        page: { pageId: '1', name: 'Homebridge AC', nextPageId: null, previousPageId: null, complete: true, sections: [] },
+      },
+    };
+  }
+
+  _handleWebhookEvents(events) {
+    const changed = new Set();
+    for (const event of events) {
+      if (event.eventType === 'DEVICE_HEALTH_EVENT' && event.deviceHealthEvent) {
+        const { deviceId } = event.deviceHealthEvent;
+        if (this.deviceIds.has(deviceId)) this._st(deviceId).applyHealthEvent(event.deviceHealthEvent);
+        continue;
+      }
+      if (event.eventType !== 'DEVICE_EVENT' || !event.deviceEvent) continue;
+      const { deviceId } = event.deviceEvent;
+      if (!this.deviceIds.has(deviceId) && !this.sensorLinks.has(deviceId)) continue;
+      this._st(deviceId).applyDeviceEvent(event.deviceEvent);
+      changed.add(deviceId);
+    }
+    for (const deviceId of changed) this.refreshDevice(deviceId);
+  }
+
+  // INSTALL/UPDATE를 보낸 SmartApp의 계정. 계정이 하나면 그 계정
+  _accountForInstall(installedAppId) {
+    return this.accounts.find(a => a.smartthings.getInstalledAppId() === installedAppId) ||
+      (this.accounts.length === 1 ? this.accounts[0] : null);
+  }
+
+  async _subscribeDevices(account, authToken) {
+    if (account.deviceIds.size === 0) return;
+    try {
+      await account.smartthings.subscribeDevices([...account.deviceIds, ...this._sensorIds(account)], authToken);
+    } catch (e) {
+      account.log.error('장치 이벤트 구독 생성 실패:', e.message);
     }
   }
 
@@ -180,55 +667,188 @@ class SmartThingsACPlatform {
     this.accessories.push(accessory);
   }
 
-  _syncDevices(stDevices, configDevices) {
+  // 설정 항목 ↔ SmartThings 장치 매칭: deviceId 우선, 없거나 못 찾으면 레이블(NFC 정규화).
+  // 레이블로도 못 찾으면 같은 레이블로 연동했던 캐시 액세서리의 deviceId 사용 (SmartThings에서 이름을 바꾼 경우)
+  _findStDevice(account, stDevices, configDevice) {
+    if (configDevice.deviceId) {
+      const byId = stDevices.find(stDevice => stDevice.deviceId === configDevice.deviceId.trim());
+      if (byId) return byId;
+      account.log.warn(`deviceId '${configDevice.deviceId}'에 해당하는 장치를 찾지 못했습니다. 레이블로 다시 찾습니다.`);
+    }
+    if (!configDevice.deviceLabel) return null;
+    const targetLabel = normalizeKorean(configDevice.deviceLabel);
+    const byLabel = stDevices.find(stDevice => normalizeKorean(stDevice.label) === targetLabel);
+    if (byLabel) return byLabel;
+
+    // 장치 설정(configDevice)은 본체 액세서리에만 저장됨
+    const cached = this.accessories.find(acc =>
+      this._accessoryAccount(acc) === account
+      && acc.context.device?.deviceId
+      && normalizeKorean(acc.context.configDevice?.deviceLabel) === targetLabel
+    );
+    return (cached && stDevices.find(stDevice => stDevice.deviceId === cached.context.device.deviceId)) || null;
+  }
+
+  async _syncDevices(account, stDevices) {
+    const { log, config } = account;
+    const configDevices = config.devices;
     const validDevices = (configDevices || []).filter(d =>
-      d && typeof d.deviceLabel === 'string' && d.deviceLabel.trim() !== ''
+      d && ['deviceLabel', 'deviceId'].some(k => typeof d[k] === 'string' && d[k].trim() !== '')
     );
     const skipped = (configDevices || []).length - validDevices.length;
     if (skipped > 0) {
-      this.log.warn(`설정에 이름 없는 장치 ${skipped}개를 건너뜁니다. (deviceLabel 누락)`);
+      log.warn(`설정에 이름 없는 장치 ${skipped}개를 건너뜁니다. (deviceLabel/deviceId 누락)`);
     }
 
+    // 플랫폼 기본 설정 위에 장치별 설정을 덮어씀
+    const defaults = config.deviceDefaults || {};
+    const matched = new Map(); // deviceId -> { device, configDevice }
+    // 다른 계정에서 이미 연동한 장치(공유된 장소 등)는 건너뜀
+    const linkedElsewhere = (stDevice) => {
+      const owner = this.deviceAccounts.get(stDevice.deviceId);
+      return !!owner && owner !== account;
+    };
+    account.activeUUIDs = new Set();
+
     for (const configDevice of validDevices) {
-      const targetLabel = normalizeKorean(configDevice.deviceLabel);
-      const foundDevice = stDevices.find(stDevice => normalizeKorean(stDevice.label) === targetLabel);
+      const name = configDevice.deviceLabel || configDevice.deviceId;
+      const foundDevice = this._findStDevice(account, stDevices, configDevice);
 
-      if (foundDevice) {
-        this.log.info(`'${configDevice.deviceLabel}' 장치를 찾았습니다. HomeKit에 추가/갱신합니다.`);
-        this.addOrUpdateAccessory(foundDevice, configDevice);
+      if (!foundDevice) {
+        log.warn(`'${name}'에 해당하는 장치를 SmartThings에서 찾지 못했습니다.`);
+      } else if (matched.has(foundDevice.deviceId)) {
+        log.warn(`'${name}' 설정이 이미 연동된 장치(${foundDevice.label})와 겹쳐 건너뜁니다.`);
+      } else if (linkedElsewhere(foundDevice)) {
+        log.warn(`'${name}' 장치는 '${this.deviceAccounts.get(foundDevice.deviceId).id}' 계정에서 이미 연동되어 건너뜁니다.`);
       } else {
-        this.log.warn(`'${configDevice.deviceLabel}'에 해당하는 장치를 SmartThings에서 찾지 못했습니다.`);
+        if (configDevice.deviceLabel && normalizeKorean(configDevice.deviceLabel) !== normalizeKorean(foundDevice.label)) {
+          log.info(`'${configDevice.deviceLabel}' 장치의 SmartThings 레이블이 '${foundDevice.label}'(으)로 바뀌었습니다. deviceId로 연동합니다.`);
+        }
+        log.info(`'${name}' 장치를 찾았습니다. HomeKit에 추가/갱신합니다.`);
+        matched.set(foundDevice.deviceId, { device: foundDevice, configDevice: { ...defaults, ...configDevice } });
       }
     }
+
+    if (config.autoDiscover) {
+      for (const stDevice of stDevices) {
+        if (matched.has(stDevice.deviceId) || linkedElsewhere(stDevice) || !hasCapability(stDevice, 'airConditionerMode')) continue;
+        log.info(`'${stDevice.label}' 에어컨을 자동으로 발견했습니다. 기본 설정으로 HomeKit에 추가/갱신합니다.`);
+        matched.set(stDevice.deviceId, { device: stDevice, configDevice: { ...defaults } });
+      }
+    }
+
+    for (const deviceId of account.deviceIds) {
+      this._unlinkDevice(deviceId);
+      if (matched.has(deviceId)) continue;
+      this.deviceIds.delete(deviceId);
+      this.deviceAccounts.delete(deviceId);
+    }
+    account.deviceIds = new Set(matched.keys());
+    for (const deviceId of account.deviceIds) {
+      this.deviceIds.add(deviceId);
+      this.deviceAccounts.set(deviceId, account);
+    }
+    for (const { device, configDevice } of matched.values()) {
+      await this.addOrUpdateAccessory(device, configDevice);
+    }
+
+    this._removeStaleAccessories(account, stDevices);
   }
 
-  async discoverDevices() {
-    this.log.info('SmartThings에서 장치 목록을 가져오는 중...');
+  // 재동기화 전에 장치에 딸린 외부 센서 연결과 쾌적 제어기를 정리 (액세서리 설정 시 다시 만듦)
+  _unlinkDevice(deviceId) {
+    for (const [sensorId, acIds] of this.sensorLinks) {
+      acIds.delete(deviceId);
+      if (acIds.size === 0) this.sensorLinks.delete(sensorId);
+    }
+    for (const controller of this.comfort.get(deviceId)?.values() || []) controller.stop();
+    this.comfort.delete(deviceId);
+  }
+
+  // 캐시 액세서리를 만든 계정. 계정 정보가 없는 예전 액세서리는 기본 계정,
+  // 설정에서 빠진 계정의 액세서리는 첫 번째 계정이 정리함
+  _accessoryAccount(acc) {
+    return this.accounts.find(a => a.id === (acc.context.account || 'default')) || this.accounts[0];
+  }
+
+  // 이번 동기화에서 쓰이지 않은 캐시 액세서리 정리.
+  // SmartThings 목록에서 잠시 사라진 장치는 유예 시간 동안 유지 (설정에서 뺀 장치/기능은 즉시 제거)
+  _removeStaleAccessories(account, stDevices) {
+    const graceHours = Number.isFinite(this.config.staleAccessoryGraceHours) ? this.config.staleAccessoryGraceHours : 24;
+    const graceMs = Math.max(0, graceHours) * 60 * 60 * 1000;
+    const present = new Set(stDevices.map(d => d.deviceId));
+    const now = Date.now();
+    const stale = [];
+    const updated = [];
+
+    for (const acc of this.accessories) {
+      if (this._accessoryAccount(acc) !== account) continue;
+      if (account.activeUUIDs.has(acc.UUID)) {
+        if (acc.context.missingSince) {
+          delete acc.context.missingSince;
+          updated.push(acc);
+        }
+        continue;
+      }
+
+      const deviceId = acc.context.device?.deviceId;
+      if (deviceId && !present.has(deviceId) && graceMs > 0) {
+        if (!acc.context.missingSince) {
+          acc.context.missingSince = now;
+          updated.push(acc);
+        }
+        if (now - acc.context.missingSince < graceMs) {
+          const leftHours = Math.ceil((graceMs - (now - acc.context.missingSince)) / (60 * 60 * 1000));
+          this.log.warn(`'${acc.displayName}' 장치가 SmartThings 목록에 없습니다. ${leftHours}시간 동안 유지한 뒤 제거합니다.`);
+          continue;
+        }
+      }
+      stale.push(acc);
+    }
+
+    if (updated.length > 0) this.api.updatePlatformAccessories(updated);
+    if (stale.length === 0) return;
+
+    for (const acc of stale) {
+      this.log.info(`사용하지 않는 액세서리 제거: ${acc.displayName}`);
+      for (const service of acc.services) this._unbindService(acc.context.device?.deviceId, service);
+    }
+    this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, stale);
+    this.accessories = this.accessories.filter(acc => !stale.includes(acc));
+  }
+
+  async discoverDevices(account) {
+    const { log } = account;
+    log.info('SmartThings에서 장치 목록을 가져오는 중...');
     try {
-      const stDevices = await this.smartthings.getDevices();
+      const stDevices = await account.smartthings.getDevices();
       if (!stDevices || stDevices.length === 0) {
-        this.log.warn('SmartThings에서 어떤 장치도 찾지 못했습니다. 권한이나 연결을 확인해주세요.');
+        log.warn('SmartThings에서 어떤 장치도 찾지 못했습니다. 권한이나 연결을 확인해주세요.');
         return;
       }
-      this.log.info(`총 ${stDevices.length}개의 SmartThings 장치를 발견했습니다. 설정된 장치와 비교합니다.`);
-      this._syncDevices(stDevices, this.config.devices);
+      log.info(`총 ${stDevices.length}개의 SmartThings 장치를 발견했습니다. 설정된 장치와 비교합니다.`);
+      await this._syncDevices(account, stDevices);
     } catch (e) {
-      this.log.error('장치 검색 중 오류가 발생했습니다:', e.message);
+      log.error('장치 검색 중 오류가 발생했습니다:', e.message);
     }
   }
 
-  addOrUpdateAccessory(device, configDevice) {
-    const uuid = UUIDGen.generate(device.deviceId);
+  async addOrUpdateAccessory(device, configDevice) {
+    const account = this._accountFor(device.deviceId);
+    const uuid = this._uuid(device.deviceId);
     let accessory = this.accessories.find(acc => acc.UUID === uuid);
+    account.activeUUIDs.add(uuid);
 
     if (accessory) {
       this.log.info(`기존 액세서리 갱신: ${device.label}`);
+      accessory.context.account = account.id;
       accessory.context.device = device;
       accessory.context.configDevice = configDevice;
       accessory.displayName = device.label;
     } else {
       this.log.info(`새 액세서리 등록: ${device.label}`);
       accessory = new Accessory(device.label, uuid);
+      accessory.context.account = account.id;
       accessory.context.device = device;
       accessory.context.configDevice = configDevice;
       this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
@@ -241,21 +861,248 @@ class SmartThingsACPlatform {
       .setCharacteristic(Characteristic.SerialNumber, configDevice.serialNumber || device.deviceId)
       .setCharacteristic(Characteristic.FirmwareRevision, pkg.version);
 
-    this.setupHeaterCoolerService(accessory, configDevice);
-    this.setupOptionalSwitches(device, configDevice); // 무풍/자동건조만
+    const unknown = (configDevice.capabilityMap || []).map(e => e?.feature).filter(f => !SmartThings.FEATURES[f]);
+    if (unknown.length > 0) {
+      this.log.warn(`[${device.label}] capabilityMap에 알 수 없는 기능이 있어 무시합니다: ${unknown.join(', ')}`);
+    }
+
+    this._st(device.deviceId).health.setName(device.deviceId, device.label);
+    this._st(device.deviceId).checkHealth(device.deviceId);
+
+    const target = this._targetFor(device.deviceId, configDevice);
+    this.setupHeaterCoolerService(accessory, configDevice, target);
+    this.setupSensorServices(accessory, configDevice, target);
+    this.setupFilterService(accessory, configDevice, target);
+    this.setupEnergyService(accessory, configDevice, target);
+    await this.setupOptionalSwitches(device, configDevice, target);
+    await this.setupPresets(accessory, device, configDevice, target);
+    this.setupFanAccessory(device, configDevice, target);
+    await this.setupOffTimer(device, configDevice, target);
+    this.setupComponentAccessories(device, configDevice);
+  }
+
+  // SmartThings 호출 대상: 장치 + 컴포넌트 + 기능별 매핑(capabilityMap)
+  _targetFor(deviceId, configDevice, component = 'main') {
+    const mapping = {};
+    for (const { feature, ...tuple } of configDevice.capabilityMap || []) {
+      if (!SmartThings.FEATURES[feature]) continue;
+      // UI에서 비워 둔 항목은 기본값 사용
+      mapping[feature] = Object.fromEntries(Object.entries(tuple).filter(([, v]) => typeof v === 'string' && v.trim() !== ''));
+    }
+    return { deviceId, component, mapping };
+  }
+
+  // 장치 설정. 컴포넌트를 주면 components 항목 값을 장치 설정 위에 덮어씀 (setupComponentAccessories와 같은 규칙)
+  _configDeviceFor(deviceId, component = 'main') {
+    const accessory = this.accessories.find(acc => acc.UUID === this._uuid(deviceId));
+    const configDevice = accessory?.context.configDevice || {};
+    if (component === 'main') return configDevice;
+    const entry = (configDevice.components || []).find(c => c?.component === component);
+    return entry ? { ...configDevice, ...entry } : configDevice;
+  }
+
+  // 설정 항목으로 장치의 대상 구성. 예약 작업처럼 액세서리 밖에서 명령할 때 사용
+  _targetForDevice(deviceId, component = 'main') {
+    return this._targetFor(deviceId, this._configDeviceFor(deviceId, component), component);
+  }
+
+  _deviceName(deviceId) {
+    return this.accessories.find(acc => acc.UUID === this._uuid(deviceId))?.displayName || deviceId;
+  }
+
+  // HomeKit에서 전원을 바꾸는 공통 경로. 끄면 걸려 있던 꺼짐 예약도 해제하고,
+  // dryBeforeOff가 켜져 있으면 바로 끄지 않고 건조 운전을 거친 뒤 끔. 다시 켜면 건조 운전 취소
+  async _setPower(target, on) {
+    if (on) {
+      if (await this._dryCycleActive(target) && await this._cancelDryCycle(target)) return;
+      await this._st(target).setPower(target, true);
+      return;
+    }
+    this._cancelOffTimer(target, '전원이 꺼져');
+    if (await this._dryCycleActive(target)) return;
+
+    const configDevice = this._configDeviceFor(target.deviceId, target.component || 'main');
+    if (configDevice.dryBeforeOff && await this._st(target).getPower(target)) {
+      await this._startDryCycle(target, configDevice);
+      return;
+    }
+    await this._st(target).setPower(target, false);
+  }
+
+  // HomeKit에 보여줄 전원 상태. 건조 운전 중에는 실제로 켜져 있어도 꺼진 것으로 표시
+  async _isOn(target) {
+    if (await this._dryCycleActive(target)) return false;
+    return this._st(target).getPower(target);
+  }
+
+  // 건조 운전이 진행 중인지 확인. 그사이 리모컨/SmartThings 앱으로 끄거나 다른 모드로 바꿨으면
+  // 사용자가 직접 조작한 것으로 보고 예약만 취소 (모드는 되돌리지 않음)
+  async _dryCycleActive(target) {
+    const key = this._dryCycleKey(target);
+    const entry = this.timers.get(key);
+    if (!entry) return false;
+    const st = this._st(target);
+    const on = await st.getPower(target);
+    const mode = on ? await st.getMode(target).catch(() => entry.mode) : null;
+    if (on && mode === entry.mode) return true;
+
+    this.timers.cancel(key);
+    this.log.info(`[${this._deviceName(target.deviceId)}] 건조 운전 중 ${on ? '모드가 바뀌어' : '전원이 꺼져'} 건조 운전을 취소했습니다.`);
+    return false;
+  }
+
+  _dryCycleKey(target) {
+    const component = target.component || 'main';
+    return component === 'main' ? `${target.deviceId}:dryCycle` : `${target.deviceId}:${component}:dryCycle`;
+  }
+
+  async _startDryCycle(target, configDevice) {
+    const mode = configDevice.dryBeforeOffMode === 'wind' ? 'wind' : 'dry';
+    const minutes = Number(configDevice.dryBeforeOffMinutes) || 10;
+    const previousMode = await this._st(target).getMode(target).catch(() => null);
+
+    await this._st(target).setMode(target, mode);
+    this.timers.schedule(this._dryCycleKey(target), Date.now() + minutes * 60 * 1000, {
+      deviceId: target.deviceId,
+      component: target.component || 'main',
+      kind: 'dryCycle',
+      mode,
+      previousMode,
+    });
+    this.log.info(`[${this._deviceName(target.deviceId)}] 끄기 전 ${minutes}분 동안 ${mode === 'dry' ? '제습' : '송풍'} 운전으로 내부를 말립니다.`);
+  }
+
+  // 건조 중 다시 켜면 건조 운전을 취소하고 원래 운전 모드로 되돌림. 취소했으면 true
+  async _cancelDryCycle(target) {
+    const key = this._dryCycleKey(target);
+    const entry = this.timers.get(key);
+    if (!entry) return false;
+    this.timers.cancel(key);
+    this.log.info(`[${this._deviceName(target.deviceId)}] 다시 켜져 건조 운전을 취소했습니다.`);
+    if (entry.previousMode && entry.previousMode !== entry.mode) {
+      await this._st(target).setMode(target, entry.previousMode);
+    }
+    if (!await this._st(target).getPower(target)) await this._st(target).setPower(target, true);
+    return true;
+  }
+
+  // 외부 온도 센서(temperatureSensorDeviceId) 대상. 에어컨과 같은 계정의 SmartThings 장치여야 함
+  _linkSensor(deviceId, configDevice) {
+    const sensorId = typeof configDevice.temperatureSensorDeviceId === 'string' ? configDevice.temperatureSensorDeviceId.trim() : '';
+    if (!sensorId || sensorId === deviceId) return null;
+    if (!this.sensorLinks.has(sensorId)) this.sensorLinks.set(sensorId, new Set());
+    this.sensorLinks.get(sensorId).add(deviceId);
+    return { deviceId: sensorId, component: configDevice.temperatureSensorComponent || 'main', mapping: {} };
+  }
+
+  // 방 온도: 외부 센서 값을 읽지 못하면 에어컨 흡입구 센서 값. 둘 다 없으면 null
+  async _currentTemperature(target, sensor) {
+    if (sensor) {
+      let value = null;
+      try {
+        value = await this._st(target).getCurrentTemperature(sensor);
+        if (value === null) throw new Error('temperatureMeasurement 값이 없습니다.');
+        this.failedSensors.delete(sensor.deviceId);
+        return value;
+      } catch (e) {
+        const message = `[${this._deviceName(target.deviceId)}] 외부 온도 센서(${sensor.deviceId})를 읽지 못해 에어컨 센서 값을 사용합니다: ${e.message}`;
+        if (this.failedSensors.has(sensor.deviceId)) this.log.debug(message);
+        else this.log.warn(message);
+        this.failedSensors.add(sensor.deviceId);
+      }
+    }
+    return this._st(target).getCurrentTemperature(target);
+  }
+
+  // 쾌적 제어(comfortControl): 외부 센서의 방 온도가 HomeKit 목표 온도를 따라가도록
+  // 냉방 중에 설정 온도(setpoint)를 한 단계씩 조절하거나 무풍(windFree)을 켜고 끔
+  _setupComfort(accessory, configDevice, target, sensor, tempProps) {
+    const strategy = configDevice.comfortControl;
+    if (!ComfortController.STRATEGIES.includes(strategy)) {
+      delete accessory.context.comfortTarget;
+      return null;
+    }
+    if (!sensor) {
+      this.log.warn(`[${accessory.displayName}] 쾌적 제어에는 외부 온도 센서(temperatureSensorDeviceId)가 필요해 사용하지 않습니다.`);
+      return null;
+    }
+    if (strategy !== 'setpoint') delete accessory.context.comfortTarget;
+
+    const st = this._st(target);
+    const coolModes = new Set(['cool', resolveModeMap(configDevice).cool]);
+    const controller = new ComfortController({
+      log: this.log,
+      name: accessory.displayName,
+      strategy,
+      hysteresis: Number(configDevice.comfortHysteresis),
+      minHoldMs: Number(configDevice.comfortMinHoldMinutes) * 60 * 1000,
+      step: tempProps.minStep,
+      limits: tempProps,
+      readState: async () => {
+        if (!await this._isOn(target) || !coolModes.has(await st.getMode(target))) return null;
+        const room = await st.getCurrentTemperature(sensor).catch(() => null);
+        if (room === null) return null;
+        const setpoint = await st.getCoolingSetpoint(target);
+        if (strategy === 'setpoint' && !Number.isFinite(accessory.context.comfortTarget)) {
+          accessory.context.comfortTarget = setpoint; // 처음에는 현재 설정 온도를 목표로
+        }
+        const goal = strategy === 'setpoint' ? accessory.context.comfortTarget : setpoint;
+        return { room, target: goal, setpoint, windFree: await st.getWindFree(target) };
+      },
+      setSetpoint: value => st.setTemperature(target, value),
+      setWindFree: on => st.setWindFree(target, on),
+    });
+
+    const component = target.component || 'main';
+    if (!this.comfort.has(target.deviceId)) this.comfort.set(target.deviceId, new Map());
+    this.comfort.get(target.deviceId).get(component)?.stop();
+    this.comfort.get(target.deviceId).set(component, controller);
+    controller.start();
+    this.log.info(`[${accessory.displayName}] 쾌적 제어 사용: ${strategy === 'setpoint' ? '설정 온도 조절' : '무풍 전환'} (허용 차이 ±${controller.hysteresis}℃)`);
+    return controller;
+  }
+
+  // 멀티 존/멀티 실내기: components에 적은 컴포넌트마다 HeaterCooler 액세서리를 하나씩 추가
+  setupComponentAccessories(device, configDevice) {
+    for (const entry of configDevice.components || []) {
+      const componentId = entry?.component;
+      if (!componentId || componentId === 'main') continue;
+      if (!(device.components || []).some(c => c.id === componentId)) {
+        this.log.warn(`[${device.label}] '${componentId}' 컴포넌트가 장치에 없어 건너뜁니다.`);
+        continue;
+      }
+
+      // 컴포넌트 항목에 적은 값(온도 범위, 모드 매핑 등)이 장치 설정보다 우선
+      const zoneConfig = { ...configDevice, ...entry };
+      const acc = this._getOrCreateFeatureAccessory(device, zoneConfig, `component:${componentId}`, entry.name || componentId);
+      this.setupHeaterCoolerService(acc, zoneConfig, this._targetFor(device.deviceId, zoneConfig, componentId));
+    }
   }
 
-  _bindCharacteristic({ service, characteristic, props, getter, setter }) {
+  _bindCharacteristic({ deviceId, service, characteristic, props, getter, setter }) {
     const char = service.getCharacteristic(characteristic);
     char.removeAllListeners('get');
     if (setter) char.removeAllListeners('set');
     if (props) char.setProps(props);
 
+    // 이벤트/상태 변경 시 refreshDevice()가 같은 getter로 값을 다시 계산해 푸시
+    if (deviceId) {
+      if (!this.bindings.has(deviceId)) this.bindings.set(deviceId, new Map());
+      this.bindings.get(deviceId).set(char, { service, characteristic, getter });
+    }
+
     char.on('get', async (callback) => {
+      if (this._isUnavailable(deviceId)) return callback(this._notResponding());
       try {
         const value = await getter();
         callback(null, value);
       } catch (e) {
+        if (this._st(deviceId).needsReauth) return callback(this._notResponding());
+        // 상태 조회 실패는 HealthTracker가 장치 단위로 한 번만 기록
+        if (e.code === 'STATUS_FAILED') {
+          this.log.debug(`[${service.displayName}] ${characteristic.displayName} GET 실패:`, e.message);
+          return callback(this._notResponding());
+        }
         this.log.error(`[${service.displayName}] ${characteristic.displayName} GET 오류:`, e.message);
         callback(e);
       }
@@ -263,10 +1110,12 @@ class SmartThingsACPlatform {
 
     if (setter) {
       char.on('set', async (value, callback) => {
+        if (this._isUnavailable(deviceId)) return callback(this._notResponding());
         try {
           await setter(value);
           callback(null);
         } catch (e) {
+          if (this._st(deviceId).needsReauth) return callback(this._notResponding());
           this.log.error(`[${service.displayName}] ${characteristic.displayName} SET 오류:`, e.message);
           callback(e);
         }
@@ -274,77 +1123,201 @@ class SmartThingsACPlatform {
     }
   }
 
-  setupHeaterCoolerService(accessory, configDevice) {
-    const deviceId = accessory.context.device.deviceId;
+  // 재인증 대기 중이거나 장치가 오프라인/연결 불가면 API를 호출하지 않고 HomeKit에 '응답 없음'으로 보고
+  _notResponding() {
+    return new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+  }
+
+  _isUnavailable(deviceId) {
+    if (this._st(deviceId).needsReauth) return true;
+    if (!deviceId || this._st(deviceId).health.isResponding(deviceId)) return false;
+    this._st(deviceId).checkHealth(deviceId, HEALTH_RECHECK_INTERVAL); // 복구 여부 확인
+    return true;
+  }
+
+  _markNotResponding(deviceId) {
+    const bound = this.bindings.get(deviceId);
+    if (!bound) return;
+    for (const char of bound.keys()) char.updateValue(this._notResponding());
+  }
+
+  _unbindService(deviceId, service) {
+    const bound = this.bindings.get(deviceId);
+    if (!bound) return;
+    for (const char of service.characteristics) bound.delete(char);
+  }
+
+  // 캐시된 상태로 바인딩된 특성 값을 다시 계산해 바뀐 값만 HomeKit에 푸시
+  async refreshDevice(deviceId) {
+    // 외부 온도 센서 값이 바뀌면 연결된 에어컨의 현재 온도를 갱신하고 쾌적 제어 판단
+    for (const acId of this.sensorLinks.get(deviceId) || []) {
+      if (acId === deviceId) continue;
+      this.refreshDevice(acId);
+      for (const controller of this.comfort.get(acId)?.values() || []) controller.evaluate();
+    }
+    const bound = this.bindings.get(deviceId);
+    if (!bound || !this._st(deviceId).health.isResponding(deviceId)) return;
+    for (const [char, { service, characteristic, getter }] of bound) {
+      try {
+        const value = await getter();
+        if (value !== char.value) service.updateCharacteristic(characteristic, value);
+      } catch (e) {
+        this.log.debug(`[${service.displayName}] ${characteristic.displayName} 갱신 실패:`, e.message);
+      }
+    }
+  }
+
+  setupHeaterCoolerService(accessory, configDevice, target) {
+    const { deviceId } = target;
     const service = accessory.getService(Service.HeaterCooler) ||
       accessory.addService(Service.HeaterCooler, accessory.displayName);
+    const sensor = this._linkSensor(deviceId, configDevice);
+    const tempProps = resolveTempProps(this.config || {}, configDevice || {});
+    const comfort = this._setupComfort(accessory, configDevice, target, sensor, tempProps);
+    // 쾌적 제어(setpoint)에서는 HomeKit 목표 온도를 플러그인이 보관하고, 에어컨 설정 온도는 제어기가 조절
+    const coolingTarget = async () => (comfort?.strategy === 'setpoint' && Number.isFinite(accessory.context.comfortTarget))
+      ? accessory.context.comfortTarget
+      : this._st(target).getCoolingSetpoint(target);
 
     // 전원
     this._bindCharacteristic({
+      deviceId,
       service,
       characteristic: Characteristic.Active,
-      getter: () => this.smartthings.getPower(deviceId).then(p => p ? 1 : 0),
-      setter: (value) => this.smartthings.setPower(deviceId, value === 1),
+      getter: () => this._isOn(target).then(p => p ? 1 : 0),
+      setter: (value) => this._setPower(target, value === 1),
     });
 
-    // 전원 ON이면 항상 Cooling 표시
+    // 현재 상태: 실제 airConditionerMode 기준 (송풍은 대기, 자동은 온도 비교)
+    const modeMap = resolveModeMap(configDevice, this.log);
+    const { CurrentHeaterCoolerState: CurrentState, TargetHeaterCoolerState: TargetState } = Characteristic;
     this._bindCharacteristic({
+      deviceId,
       service,
-      characteristic: Characteristic.CurrentHeaterCoolerState,
+      characteristic: CurrentState,
       getter: async () => {
-        if (!await this.smartthings.getPower(deviceId)) {
-          return Characteristic.CurrentHeaterCoolerState.INACTIVE;
+        if (!await this._isOn(target)) return CurrentState.INACTIVE;
+        const mode = await this._st(target).getMode(target);
+        switch (mode) {
+          case 'heat':
+            return CurrentState.HEATING;
+          case 'wind':
+          case 'fan':
+            return CurrentState.IDLE;
+          case 'auto':
+          case 'aIComfort': {
+            const current = await this._currentTemperature(target, sensor);
+            const setpoint = await coolingTarget();
+            if (current === null) return CurrentState.IDLE;
+            if (current > setpoint) return CurrentState.COOLING;
+            if (current < setpoint) return CurrentState.HEATING;
+            return CurrentState.IDLE;
+          }
+          default:
+            return CurrentState.COOLING; // cool/dry 및 알 수 없는 모드
         }
-        return Characteristic.CurrentHeaterCoolerState.COOLING;
       },
     });
 
-    // 대상 상태는 COOL만, 전송 모드는 dry/cool 선택
-    const coolCmd =
-      ((configDevice.coolCommand || configDevice.coolModeCommand || 'dry').toLowerCase() === 'cool')
-        ? 'cool' : 'dry';
+    // 목표 상태: 설정에서 'none'이 아닌 상태만 노출, 기기 supportedAcModes로 한 번 더 거름
+    const stateToMode = {
+      [TargetState.COOL]: modeMap.cool,
+      [TargetState.HEAT]: modeMap.heat,
+      [TargetState.AUTO]: modeMap.auto,
+    };
+    const configuredStates = Object.keys(stateToMode)
+      .map(Number)
+      .filter(state => stateToMode[state] !== 'none');
     this._bindCharacteristic({
+      deviceId,
       service,
-      characteristic: Characteristic.TargetHeaterCoolerState,
-      props: { validValues: [Characteristic.TargetHeaterCoolerState.COOL] },
-      getter: () => Characteristic.TargetHeaterCoolerState.COOL,
+      characteristic: TargetState,
+      props: { validValues: configuredStates },
+      getter: async () => {
+        const mode = await this._st(target).getMode(target);
+        const match = configuredStates.find(state => stateToMode[state] === mode);
+        return match ?? TargetState.COOL;
+      },
       setter: async (value) => {
-        if (value === Characteristic.TargetHeaterCoolerState.COOL) {
-          await this.smartthings.setMode(deviceId, coolCmd);
+        const mode = stateToMode[value];
+        if (mode && mode !== 'none') {
+          await this._st(target).setMode(target, mode);
         }
       },
     });
 
-    // 현재 온도
+    this._st(target).getSupportedModes(target).then((supported) => {
+      if (supported.length === 0) return; // 목록을 주지 않는 기기는 설정값 그대로
+      const valid = configuredStates.filter(state =>
+        state === TargetState.COOL || supported.includes(stateToMode[state])
+      );
+      const dropped = configuredStates.filter(state => !valid.includes(state)).map(state => stateToMode[state]);
+      if (dropped.length > 0) {
+        this.log.warn(`[${accessory.displayName}] 기기가 지원하지 않는 모드를 제외합니다: ${dropped.join(', ')}`);
+      }
+      service.getCharacteristic(TargetState).setProps({ validValues: valid });
+    }).catch((e) => {
+      this.log.debug(`[${accessory.displayName}] 지원 모드 조회 실패:`, e.message);
+    });
+
+    // 현재 온도: 외부 센서가 있으면 방 온도. 값이 없으면 마지막으로 알린 값 유지
     this._bindCharacteristic({
+      deviceId,
       service,
       characteristic: Characteristic.CurrentTemperature,
-      getter: () => this.smartthings.getCurrentTemperature(deviceId),
+      getter: async () => (await this._currentTemperature(target, sensor)) ??
+        service.getCharacteristic(Characteristic.CurrentTemperature).value ?? 0,
     });
 
     // 목표(냉방) 온도 — 설정값 기반으로 범위/스텝 적용
-    const tempProps = resolveTempProps(this.config || {}, configDevice || {});
     this._bindCharacteristic({
+      deviceId,
       service,
       characteristic: Characteristic.CoolingThresholdTemperature,
       props: tempProps,
       getter: async () => {
         // 현재 ST 목표값을 읽고 범위 안으로 한 번 보정(오류 방지)
-        const current = await this.smartthings.getCoolingSetpoint(deviceId);
+        const current = await coolingTarget();
         return clampNumber(current, tempProps.minValue, tempProps.maxValue);
       },
-      setter: (value) => this.smartthings.setTemperature(deviceId, clampNumber(value, tempProps.minValue, tempProps.maxValue)),
+      setter: async (value) => {
+        const setpoint = clampNumber(value, tempProps.minValue, tempProps.maxValue);
+        if (comfort?.strategy === 'setpoint') {
+          accessory.context.comfortTarget = setpoint;
+          comfort.hold(); // 사용자가 정한 값으로 시작해 최소 유지 시간 뒤부터 조절
+        }
+        await this._st(target).setTemperature(target, setpoint);
+      },
     });
 
+    // 목표(난방) 온도 — 난방 매핑을 쓸 때만 노출
+    if (modeMap.heat !== 'none') {
+      this._bindCharacteristic({
+        deviceId,
+        service,
+        characteristic: Characteristic.HeatingThresholdTemperature,
+        props: tempProps,
+        getter: async () => {
+          const current = await this._st(target).getHeatingSetpoint(target);
+          return clampNumber(current, tempProps.minValue, tempProps.maxValue);
+        },
+        setter: (value) => this._st(target).setHeatingSetpoint(target, clampNumber(value, tempProps.minValue, tempProps.maxValue)),
+      });
+    } else {
+      const existing = service.getCharacteristic(Characteristic.HeatingThresholdTemperature);
+      if (existing) service.removeCharacteristic(existing);
+    }
+
     // SwingMode: none / windFree
     const swingBinding = (configDevice.swingBinding || 'windFree');
     if (swingBinding !== 'none') {
       this._bindCharacteristic({
+        deviceId,
         service,
         characteristic: Characteristic.SwingMode,
-        getter: async () => (await this.smartthings.getWindFree(deviceId)) ? 1 : 0,
+        getter: async () => (await this._st(target).getWindFree(target)) ? 1 : 0,
         setter: async (value) => {
-          await this.smartthings.setWindFree(deviceId, value === 1);
+          await this._st(target).setWindFree(target, value === 1);
         }
       });
     } else {
@@ -352,15 +1325,41 @@ class SmartThingsACPlatform {
       if (existing) service.removeCharacteristic(existing);
     }
 
+    // RotationSpeed: none / fanMode
+    const fanSpeedBinding = (configDevice.fanSpeedBinding || 'fanMode');
+    if (fanSpeedBinding !== 'none') {
+      const autoPosition = configDevice.fanAutoPosition || 'zero';
+      const fanSteps = async () => resolveFanSteps(await this._st(target).getSupportedFanModes(target), autoPosition);
+      this._bindCharacteristic({
+        deviceId,
+        service,
+        characteristic: Characteristic.RotationSpeed,
+        props: fanSpeedProps(resolveFanSteps(null, autoPosition)),
+        getter: async () => fanModeToSpeed(await this._st(target).getFanMode(target), await fanSteps()),
+        setter: async (value) => {
+          await this._st(target).setFanMode(target, speedToFanMode(value, await fanSteps()));
+        },
+      });
+      fanSteps().then((steps) => {
+        service.getCharacteristic(Characteristic.RotationSpeed).setProps(fanSpeedProps(steps));
+      }).catch((e) => {
+        this.log.debug(`[${accessory.displayName}] 지원 풍량 조회 실패:`, e.message);
+      });
+    } else {
+      const existing = service.getCharacteristic(Characteristic.RotationSpeed);
+      if (existing) service.removeCharacteristic(existing);
+    }
+
     // LockPhysicalControls: none / autoClean
     const lockBinding = (configDevice.lockBinding || 'autoClean');
     if (lockBinding !== 'none') {
       this._bindCharacteristic({
+        deviceId,
         service,
         characteristic: Characteristic.LockPhysicalControls,
-        getter: async () => (await this.smartthings.getAutoClean(deviceId)) ? 1 : 0,
+        getter: async () => (await this._st(target).getAutoClean(target)) ? 1 : 0,
         setter: async (value) => {
-          await this.smartthings.setAutoClean(deviceId, value === 1);
+          await this._st(target).setAutoClean(target, value === 1);
         }
       });
     } else {
@@ -369,58 +1368,537 @@ class SmartThingsACPlatform {
     }
   }
 
-  // 별도 스위치: 무풍 / 자동건조
-  setupOptionalSwitches(device, configDevice) {
-    const baseLabel = device.label;
+  // 에어컨 내장 센서: 습도 / 공기질(PM2.5, PM10)
+  setupSensorServices(accessory, configDevice, target) {
+    const { deviceId } = target;
 
-    const maybeCreateSwitch = (keySuffix, displayName, getter, setter) => {
-      const uuid = UUIDGen.generate(`${device.deviceId}:${keySuffix}`);
-      let acc = this.accessories.find(a => a.UUID === uuid);
+    const humidity = accessory.getService(Service.HumiditySensor);
+    if (configDevice.exposeHumiditySensor) {
+      const service = humidity || accessory.addService(Service.HumiditySensor, `${accessory.displayName} 습도`);
+      this._bindCharacteristic({
+        deviceId,
+        service,
+        characteristic: Characteristic.CurrentRelativeHumidity,
+        getter: async () => clampNumber(await this._st(target).getHumidity(target), 0, 100),
+      });
+    } else if (humidity) {
+      this._unbindService(deviceId, humidity);
+      accessory.removeService(humidity);
+    }
 
-      if (!acc) {
-        acc = new Accessory(`${baseLabel} - ${displayName}`, uuid);
-        acc.context.device = device;
-        this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [acc]);
-        this.accessories.push(acc);
-      } else {
-        acc.displayName = `${baseLabel} - ${displayName}`;
-        acc.context.device = device;
+    const airQuality = accessory.getService(Service.AirQualitySensor);
+    if (configDevice.exposeAirQualitySensor) {
+      const service = airQuality || accessory.addService(Service.AirQualitySensor, `${accessory.displayName} 공기질`);
+      const bands = resolveAqiBands(this.config || {});
+      this._bindCharacteristic({
+        deviceId,
+        service,
+        characteristic: Characteristic.AirQuality,
+        getter: async () => {
+          const { pm25, pm10 } = await this._st(target).getDustLevels(target);
+          return Math.max(airQualityLevel(pm25, bands.pm25), airQualityLevel(pm10, bands.pm10));
+        },
+      });
+      this._bindCharacteristic({
+        deviceId,
+        service,
+        characteristic: Characteristic.PM2_5Density,
+        getter: async () => clampNumber((await this._st(target).getDustLevels(target)).pm25 ?? 0, 0, 1000),
+      });
+      this._bindCharacteristic({
+        deviceId,
+        service,
+        characteristic: Characteristic.PM10Density,
+        getter: async () => clampNumber((await this._st(target).getDustLevels(target)).pm10 ?? 0, 0, 1000),
+      });
+    } else if (airQuality) {
+      this._unbindService(deviceId, airQuality);
+      accessory.removeService(airQuality);
+    }
+  }
+
+  // 필터 상태: custom.dustFilter 사용률/상태, 리셋은 resetDustFilter
+  setupFilterService(accessory, configDevice, target) {
+    const { deviceId } = target;
+    const existing = accessory.getService(Service.FilterMaintenance);
+
+    if (!configDevice.exposeFilterMaintenance) {
+      if (existing) {
+        this._unbindService(deviceId, existing);
+        accessory.removeService(existing);
+      }
+      return;
+    }
+
+    const service = existing || accessory.addService(Service.FilterMaintenance, `${accessory.displayName} 필터`);
+    this._bindCharacteristic({
+      deviceId,
+      service,
+      characteristic: Characteristic.FilterChangeIndication,
+      getter: async () => {
+        const { usage, status } = await this._st(target).getDustFilter(target);
+        return (status === 'replace' || status === 'wash' || usage >= 100)
+          ? Characteristic.FilterChangeIndication.CHANGE_FILTER
+          : Characteristic.FilterChangeIndication.FILTER_OK;
+      },
+    });
+    this._bindCharacteristic({
+      deviceId,
+      service,
+      characteristic: Characteristic.FilterLifeLevel,
+      getter: async () => clampNumber(100 - (await this._st(target).getDustFilter(target)).usage, 0, 100),
+    });
+    this._bindCharacteristic({
+      deviceId,
+      service,
+      characteristic: Characteristic.ResetFilterIndication,
+      getter: () => 0,
+      setter: async (value) => {
+        if (value === 1) await this._st(target).resetDustFilter(target);
+      },
+    });
+  }
+
+  // 전력: Outlet(전원 미러링 + 사용 중 여부)에 Eve 전력 특성을 붙여 표시.
+  // Total Consumption은 전체 누적 사용량(Eve가 기록을 쌓는 기준). 오늘 사용량은 로컬 API로 확인
+  setupEnergyService(accessory, configDevice, target) {
+    const { deviceId } = target;
+    const existing = accessory.getService(Service.Outlet);
+
+    if (!configDevice.exposeEnergy) {
+      if (existing) {
+        this._unbindService(deviceId, existing);
+        accessory.removeService(existing);
       }
+      return;
+    }
 
-      const info = acc.getService(Service.AccessoryInformation) || acc.addService(Service.AccessoryInformation);
-      info
-        .setCharacteristic(Characteristic.Manufacturer, 'Samsung')
-        .setCharacteristic(Characteristic.Model, (configDevice?.model) || 'AC-Feature')
-        .setCharacteristic(Characteristic.SerialNumber, `${device.deviceId}-${keySuffix}`)
-        .setCharacteristic(Characteristic.FirmwareRevision, pkg.version);
+    const service = existing || accessory.addService(Service.Outlet, `${accessory.displayName} 전력`);
+    service.addOptionalCharacteristic(Eve.EveConsumption);
+    service.addOptionalCharacteristic(Eve.EveTotalConsumption);
+    const readPower = async () => {
+      const report = await this._st(target).getPowerConsumption(target);
+      if (report) this.energy.record(deviceId, report.energy);
+      return report;
+    };
 
+    this._bindCharacteristic({
+      deviceId,
+      service,
+      characteristic: Characteristic.On,
+      getter: () => this._isOn(target),
+      setter: (value) => this._setPower(target, !!value),
+    });
+    this._bindCharacteristic({
+      deviceId,
+      service,
+      characteristic: Characteristic.OutletInUse,
+      getter: async () => ((await readPower())?.power || 0) > 0,
+    });
+    this._bindCharacteristic({
+      deviceId,
+      service,
+      characteristic: Eve.EveConsumption,
+      getter: async () => (await readPower())?.power || 0,
+    });
+    this._bindCharacteristic({
+      deviceId,
+      service,
+      characteristic: Eve.EveTotalConsumption,
+      getter: async () => {
+        await readPower();
+        return Math.round(this.energy.total(deviceId) * 1000) / 1000;
+      },
+    });
+  }
+
+  // 별도 액세서리(스위치/팬) 공통: `${deviceId}:${keySuffix}` UUID(계정 구분 포함)로 생성 또는 캐시에서 재사용
+  _getOrCreateFeatureAccessory(device, configDevice, keySuffix, displayName) {
+    const account = this._accountFor(device.deviceId);
+    const uuid = this._uuid(device.deviceId, keySuffix);
+    const name = `${device.label} - ${displayName}`;
+    let acc = this.accessories.find(a => a.UUID === uuid);
+    account.activeUUIDs.add(uuid);
+
+    if (!acc) {
+      acc = new Accessory(name, uuid);
+      acc.context.account = account.id;
+      acc.context.device = device;
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [acc]);
+      this.accessories.push(acc);
+    } else {
+      acc.displayName = name;
+      acc.context.account = account.id;
+      acc.context.device = device;
+    }
+
+    const info = acc.getService(Service.AccessoryInformation) || acc.addService(Service.AccessoryInformation);
+    info
+      .setCharacteristic(Characteristic.Manufacturer, 'Samsung')
+      .setCharacteristic(Characteristic.Model, (configDevice?.model) || 'AC-Feature')
+      .setCharacteristic(Characteristic.SerialNumber, `${device.deviceId}-${keySuffix}`)
+      .setCharacteristic(Characteristic.FirmwareRevision, pkg.version);
+
+    return acc;
+  }
+
+  // 별도 스위치: 부가 모드(무풍/쾌속/취침 등) / 자동건조 / 무음 / 디스플레이 조명
+  async setupOptionalSwitches(device, configDevice, target) {
+    const createSwitch = (keySuffix, displayName, getter, setter) => {
+      const acc = this._getOrCreateFeatureAccessory(device, configDevice, keySuffix, displayName);
       const sw = acc.getService(Service.Switch) || acc.addService(Service.Switch, acc.displayName);
 
       // Switch.On 은 boolean true/false
       this._bindCharacteristic({
+        deviceId: device.deviceId,
         service: sw,
         characteristic: Characteristic.On,
         getter: async () => !!(await getter()),
-        setter: async (v) => setter(!!v),
+        setter: async (v) => setter(!!v, acc),
       });
+      return sw;
     };
 
-    if (configDevice.exposeWindFreeSwitch) {
-      maybeCreateSwitch(
-        'windfree',
-        '무풍',
-        () => this.smartthings.getWindFree(device.deviceId),
-        (enable) => this.smartthings.setWindFree(device.deviceId, enable)
-      );
+    // 부가 모드(acOptionalMode)는 동시에 하나만 켜짐. exposeWindFreeSwitch는 windFree와 같음(기존 액세서리 유지)
+    const requested = [...new Set([
+      ...(configDevice.exposeWindFreeSwitch ? ['windFree'] : []),
+      ...(configDevice.optionalModeSwitches || []),
+    ])];
+    if (requested.length > 0) {
+      // 상태 조회에 실패하면 설정대로 노출 (액세서리가 지워져 자동화가 깨지지 않도록)
+      const supported = await this._st(target).getSupportedOptionalModes(target).catch(() => []);
+      const modes = supported.length > 0 ? requested.filter(mode => supported.includes(mode)) : requested;
+      const dropped = requested.filter(mode => !modes.includes(mode));
+      if (dropped.length > 0) {
+        this.log.warn(`[${device.label}] 기기가 지원하지 않는 부가 모드 스위치를 제외합니다: ${dropped.join(', ')}`);
+      }
+
+      const modeSwitches = new Map();
+      for (const mode of modes) {
+        const sw = createSwitch(
+          mode === 'windFree' ? 'windfree' : `optmode:${mode}`,
+          OPTIONAL_MODE_NAMES[mode] || mode,
+          async () => (await this._st(target).getOptionalMode(target)) === mode,
+          async (enable) => {
+            if (enable) {
+              await this._st(target).setOptionalMode(target, mode);
+              for (const [other, otherSw] of modeSwitches) {
+                if (other !== mode) otherSw.updateCharacteristic(Characteristic.On, false);
+              }
+            } else if ((await this._st(target).getOptionalMode(target)) === mode) {
+              await this._st(target).setOptionalMode(target, 'off');
+            }
+          }
+        );
+        modeSwitches.set(mode, sw);
+      }
     }
 
     if (configDevice.exposeAutoCleanSwitch) {
-      maybeCreateSwitch(
+      createSwitch(
         'autoclean',
         '자동건조',
-        () => this.smartthings.getAutoClean(device.deviceId),
-        (enable) => this.smartthings.setAutoClean(device.deviceId, enable)
+        () => this._st(target).getAutoClean(target),
+        (enable) => this._st(target).setAutoClean(target, enable)
       );
     }
+
+    // 무음: 켜면 알림음 볼륨 0, 끄면 직전 볼륨(없으면 100)으로 복원
+    if (configDevice.exposeMuteSwitch) {
+      if (await this._st(target).getVolume(target).catch(() => undefined) === null) {
+        this.log.warn(`[${device.label}] 알림음 볼륨(audioVolume)을 지원하지 않아 무음 스위치를 만들지 않습니다.`);
+      } else {
+        createSwitch(
+          'mute',
+          '무음',
+          async () => (await this._st(target).getVolume(target)) === 0,
+          async (mute, acc) => {
+            if (mute) {
+              const volume = await this._st(target).getVolume(target);
+              if (volume > 0) acc.context.lastVolume = volume;
+              await this._st(target).setVolume(target, 0);
+            } else {
+              await this._st(target).setVolume(target, acc.context.lastVolume || 100);
+            }
+          }
+        );
+      }
+    }
+
+    if (configDevice.exposeDisplayLightSwitch) {
+      if (await this._st(target).getDisplayLight(target).catch(() => undefined) === null) {
+        this.log.warn(`[${device.label}] 디스플레이 조명을 지원하지 않아 조명 스위치를 만들지 않습니다.`);
+      } else {
+        createSwitch(
+          'light',
+          '디스플레이 조명',
+          () => this._st(target).getDisplayLight(target),
+          (on) => this._st(target).setDisplayLight(target, on)
+        );
+      }
+    }
+  }
+
+  // 프리셋: 모드/온도/풍량/부가 모드/자동건조를 한 번에 적용하는 상태 없는 스위치.
+  // 켜면 모든 명령을 한 요청으로 보내고, 기기 상태가 프리셋과 일치하는 동안만 켜짐으로 표시
+  async setupPresets(accessory, device, configDevice, target) {
+    const list = Array.isArray(configDevice.presets) ? configDevice.presets : [];
+    if (list.length === 0) return;
+
+    const tempProps = resolveTempProps(this.config || {}, configDevice);
+    const presets = [];
+    for (const entry of list) {
+      const preset = normalizePreset(entry, tempProps);
+      if (!preset) {
+        this.log.warn(`[${device.label}] 이름이나 적용할 값이 없는 프리셋은 건너뜁니다: ${JSON.stringify(entry)}`);
+      } else if (presets.some(p => p.name === preset.name)) {
+        this.log.warn(`[${device.label}] 프리셋 이름 '${preset.name}'이(가) 중복되어 건너뜁니다.`);
+      } else {
+        presets.push(preset);
+      }
+    }
+
+    // 지원 목록과 다른 값은 경고만 (상태 조회 실패나 목록을 보고하지 않는 기종이 있어 그대로 보냄)
+    const st = this._st(target);
+    const supported = {
+      mode: await st.getSupportedModes(target).catch(() => []),
+      fanMode: await st.getSupportedFanModes(target).catch(() => []),
+      optionalMode: await st.getSupportedOptionalModes(target).catch(() => []),
+    };
+    for (const preset of presets) {
+      for (const [field, values] of Object.entries(supported)) {
+        const value = preset[field];
+        if (value !== undefined && values.length > 0 && !values.includes(value) && !(field === 'optionalMode' && value === 'off')) {
+          this.log.warn(`[${device.label}] 프리셋 '${preset.name}'의 ${field} 값 '${value}'은(는) 기기 지원 목록에 없습니다: ${values.join(', ')}`);
+        }
+      }
+    }
+
+    // 쾌적 제어(setpoint) 중이면 프리셋 온도는 HomeKit 목표 온도로 취급
+    const comfort = () => (Number.isFinite(accessory.context.comfortTarget)
+      ? this.comfort.get(target.deviceId)?.get(target.component || 'main') : null);
+
+    const matches = async (preset) => {
+      if (!await this._isOn(target)) return false;
+      if (preset.mode !== undefined && await st.getMode(target) !== preset.mode) return false;
+      if (preset.setpoint !== undefined) {
+        const setpoint = comfort() ? accessory.context.comfortTarget : await st.getCoolingSetpoint(target);
+        if (setpoint !== preset.setpoint) return false;
+      }
+      if (preset.fanMode !== undefined && await st.getFanMode(target) !== preset.fanMode) return false;
+      if (preset.optionalMode !== undefined && await st.getOptionalMode(target) !== preset.optionalMode) return false;
+      if (preset.autoClean !== undefined && await st.getAutoClean(target) !== preset.autoClean) return false;
+      return true;
+    };
+
+    for (const preset of presets) {
+      const acc = this._getOrCreateFeatureAccessory(device, configDevice, `preset:${preset.name}`, preset.name);
+      const sw = acc.getService(Service.Switch) || acc.addService(Service.Switch, acc.displayName);
+      this._bindCharacteristic({
+        deviceId: device.deviceId,
+        service: sw,
+        characteristic: Characteristic.On,
+        getter: () => matches(preset),
+        setter: async (on) => {
+          if (on) {
+            await this._cancelDryCycle(target);
+            await st.sendFeatureCommands(target, presetCommands(preset));
+            const controller = preset.setpoint !== undefined && comfort();
+            if (controller) {
+              accessory.context.comfortTarget = preset.setpoint;
+              controller.hold();
+            }
+            this.log.info(`[${device.label}] 프리셋 '${preset.name}'을(를) 적용했습니다.`);
+          }
+          // 끄기는 아무것도 바꾸지 않음. 실제 상태와 일치하는지 다시 계산해 표시
+          setImmediate(() => this.refreshDevice(device.deviceId));
+        },
+      });
+    }
+  }
+
+  // 꺼짐 예약: 밸브(Valve) 액세서리로 표시. 켜면 설정한 시간(SetDuration) 뒤 전원을 끄고, 남은 시간을 보여줌.
+  // offTimerMode가 'device'면 기기 자체 꺼짐 예약(offTimer 기능)을 함께 설정
+  async setupOffTimer(device, configDevice, target) {
+    const deviceId = device.deviceId;
+    const key = this._offTimerKey(target);
+    if (!configDevice.exposeOffTimer) {
+      this.timers.cancel(key);
+      return;
+    }
+
+    let mode = configDevice.offTimerMode === 'device' ? 'device' : 'plugin';
+    if (mode === 'device' && await this._st(target).getDeviceOffTimer(target).catch(() => undefined) === null) {
+      this.log.warn(`[${device.label}] 기기 꺼짐 예약을 지원하지 않아 플러그인 타이머를 사용합니다.`);
+      mode = 'plugin';
+    }
+
+    const acc = this._getOrCreateFeatureAccessory(device, configDevice, 'offtimer', '꺼짐 예약');
+    const valve = acc.getService(Service.Valve) || acc.addService(Service.Valve, acc.displayName);
+    valve.setCharacteristic(Characteristic.ValveType, Characteristic.ValveType.GENERIC_VALVE);
+    if (!acc.context.duration) acc.context.duration = (Number(configDevice.offTimerDefaultMinutes) || 120) * 60;
+
+    // 예약이 걸려 있어도 에어컨이 이미 꺼졌으면(리모컨 등) 예약 해제
+    const isRunning = async () => {
+      if (!this.timers.get(key)) return false;
+      if (await this._isOn(target)) return true;
+      this._cancelOffTimer(target, '에어컨이 꺼져');
+      return false;
+    };
+    const durationProps = { minValue: 0, maxValue: 24 * 60 * 60, minStep: 60 };
+
+    const activeBinding = {
+      deviceId,
+      service: valve,
+      getter: async () => (await isRunning()) ? 1 : 0,
+    };
+    this._bindCharacteristic({
+      ...activeBinding,
+      characteristic: Characteristic.Active,
+      setter: async (value) => {
+        if (value !== 1) {
+          this._cancelOffTimer(target, 'HomeKit에서');
+          return;
+        }
+        const seconds = acc.context.duration;
+        if (!await this._isOn(target)) await this._setPower(target, true);
+        if (mode === 'device') await this._st(target).setDeviceOffTimer(target, Math.ceil(seconds / 60));
+        this.timers.schedule(key, Date.now() + seconds * 1000, { deviceId, kind: 'offTimer', mode, scheduledAt: Date.now() });
+        this.log.info(`[${device.label}] ${Math.round(seconds / 60)}분 뒤 꺼지도록 예약했습니다.`);
+        valve.updateCharacteristic(Characteristic.InUse, 1);
+        valve.updateCharacteristic(Characteristic.RemainingDuration, seconds);
+      },
+    });
+    this._bindCharacteristic({ ...activeBinding, characteristic: Characteristic.InUse });
+    this._bindCharacteristic({
+      deviceId,
+      service: valve,
+      characteristic: Characteristic.SetDuration,
+      props: durationProps,
+      getter: () => acc.context.duration,
+      setter: (value) => {
+        acc.context.duration = value;
+        this.api.updatePlatformAccessories([acc]);
+      },
+    });
+    this._bindCharacteristic({
+      deviceId,
+      service: valve,
+      characteristic: Characteristic.RemainingDuration,
+      props: durationProps,
+      getter: () => Math.round(this.timers.remaining(key) / 1000),
+    });
+  }
+
+  // 꺼짐 예약 키. 컴포넌트(존)마다 따로 두어 한 존을 꺼도 다른 존의 예약은 유지
+  _offTimerKey(target) {
+    const component = target.component || 'main';
+    return component === 'main' ? `${target.deviceId}:offTimer` : `${target.deviceId}:${component}:offTimer`;
+  }
+
+  _cancelOffTimer(target, reason) {
+    const { deviceId } = target;
+    const key = this._offTimerKey(target);
+    const entry = this.timers.get(key);
+    if (!entry) return;
+    this.timers.cancel(key);
+    this.log.info(`[${this._deviceName(deviceId)}] ${reason} 꺼짐 예약을 취소했습니다.`);
+    if (entry.mode === 'device') {
+      this._st(target).setDeviceOffTimer(target, 0).catch((e) => {
+        this.log.warn(`[${this._deviceName(deviceId)}] 기기 꺼짐 예약 해제 실패:`, e.message);
+      });
+    }
+    this.refreshDevice(deviceId);
+  }
+
+  async _onTimerExpired(key, entry) {
+    const { deviceId } = entry;
+    if (entry.kind === 'offTimer') {
+      // 기기 자체 예약이면 기기가 직접 꺼짐
+      if (entry.mode !== 'device') await this._expireOffTimer(this._targetForDevice(deviceId), entry);
+    } else if (entry.kind === 'dryCycle') {
+      const target = this._targetForDevice(deviceId, entry.component);
+      // 건조 운전 중 리모컨 등으로 다른 모드를 골랐으면 사용자가 계속 쓰는 것으로 보고 끄지 않음
+      const mode = await this._st(target).getMode(target).catch(() => entry.mode);
+      if (mode !== entry.mode) {
+        this.log.info(`[${this._deviceName(deviceId)}] 건조 운전 중 모드가 바뀌어 전원을 끄지 않습니다.`);
+      } else {
+        await this._st(target).setPower(target, false);
+        this.log.info(`[${this._deviceName(deviceId)}] 건조 운전을 마치고 에어컨을 껐습니다.`);
+      }
+    }
+    this.refreshDevice(deviceId);
+  }
+
+  // 폴링/Webhook 없이도 예약 후 리모컨으로 끄거나 다시 켠 경우를 알 수 있도록 마감 시각에 상태를 새로 확인
+  async _expireOffTimer(target, entry) {
+    const st = this._st(target);
+    const name = this._deviceName(target.deviceId);
+    await st.refreshStatus(target.deviceId).catch(() => {});
+    if (!await this._isOn(target)) {
+      this.log.info(`[${name}] 꺼짐 예약 시간이 되었지만 이미 꺼져 있습니다.`);
+      return;
+    }
+    const changedAt = await st.getPowerChangedAt(target).catch(() => null);
+    if (changedAt && entry.scheduledAt && changedAt > entry.scheduledAt + POWER_CHANGE_GRACE) {
+      this.log.info(`[${name}] 꺼짐 예약 이후 전원을 다시 켜서 끄지 않습니다.`);
+      return;
+    }
+    await this._setPower(target, false);
+    this.log.info(`[${name}] 꺼짐 예약 시간이 되어 에어컨을 껐습니다.`);
+  }
+
+  // 별도 팬(Fan v2) 액세서리: 전원/풍량을 HeaterCooler와 동일하게 미러링, auto는 TargetFanState.AUTO
+  setupFanAccessory(device, configDevice, target) {
+    if (!configDevice.exposeFanAccessory) return;
+
+    const deviceId = device.deviceId;
+    const acc = this._getOrCreateFeatureAccessory(device, configDevice, 'fan', '풍량');
+    const fan = acc.getService(Service.Fanv2) || acc.addService(Service.Fanv2, acc.displayName);
+    const fanSteps = async () => resolveFanSteps(await this._st(target).getSupportedFanModes(target), 'none');
+
+    this._bindCharacteristic({
+      deviceId,
+      service: fan,
+      characteristic: Characteristic.Active,
+      getter: () => this._isOn(target).then(p => p ? 1 : 0),
+      setter: (value) => this._setPower(target, value === 1),
+    });
+
+    this._bindCharacteristic({
+      deviceId,
+      service: fan,
+      characteristic: Characteristic.TargetFanState,
+      getter: async () => ((await this._st(target).getFanMode(target)) === 'auto')
+        ? Characteristic.TargetFanState.AUTO
+        : Characteristic.TargetFanState.MANUAL,
+      setter: async (value) => {
+        const current = await this._st(target).getFanMode(target);
+        if (value === Characteristic.TargetFanState.AUTO) {
+          if (current !== 'auto') await this._st(target).setFanMode(target, 'auto');
+        } else if (current === 'auto') {
+          const { steps } = await fanSteps();
+          if (steps.length > 0) await this._st(target).setFanMode(target, steps[0]);
+        }
+      },
+    });
+
+    // 0%는 Home 앱이 Active=0으로 함께 보내므로 풍량 명령은 생략
+    this._bindCharacteristic({
+      deviceId,
+      service: fan,
+      characteristic: Characteristic.RotationSpeed,
+      props: fanSpeedProps(resolveFanSteps(null, 'none')),
+      getter: async () => fanModeToSpeed(await this._st(target).getFanMode(target), await fanSteps()),
+      setter: async (value) => {
+        if (value <= 0) return;
+        await this._st(target).setFanMode(target, speedToFanMode(value, await fanSteps()));
+      },
+    });
+    fanSteps().then((steps) => {
+      fan.getCharacteristic(Characteristic.RotationSpeed).setProps(fanSpeedProps(steps));
+    }).catch((e) => {
+      this.log.debug(`[${acc.displayName}] 지원 풍량 조회 실패:`, e.message);
+    });
   }
 }
@@ -0,0 +1,117 @@
+// lib/ComfortController.js
+'use strict';
+
+const DEFAULT_INTERVAL = 60 * 1000;
+const DEFAULT_HYSTERESIS = 0.5;
+const DEFAULT_MIN_HOLD = 5 * 60 * 1000;
+
+const STRATEGIES = ['setpoint', 'windFree'];
+
+// 방 온도와 목표 온도의 차이로 할 일을 정함. 히스테리시스 범위 안이면 null
+//   setpoint  더우면 설정 온도를 한 단계 내리고, 추우면 한 단계 올림 (limits 안에서)
+//   windFree  더우면 무풍을 끄고(냉방 강화), 충분히 시원하면 무풍을 켬
+function decide({ strategy, hysteresis, step, limits }, { room, target, setpoint, windFree }) {
+  if (!Number.isFinite(room) || !Number.isFinite(target)) return null;
+  const error = room - target;
+
+  if (strategy === 'windFree') {
+    if (windFree && error >= hysteresis) return { windFree: false };
+    if (!windFree && error <= -hysteresis) return { windFree: true };
+    return null;
+  }
+
+  if (Math.abs(error) < hysteresis || !Number.isFinite(setpoint)) return null;
+  const next = Math.min(limits.maxValue, Math.max(limits.minValue, setpoint + (error > 0 ? -step : step)));
+  return next === setpoint ? null : { setpoint: next };
+}
+
+// 외부 온도 센서로 읽은 방 온도가 HomeKit 목표 온도를 따라가도록 에어컨을 조절하는 플러그인 쪽 제어기.
+// 주기적으로(또는 센서 값이 바뀔 때) 상태를 읽어 판단하고, 한 번 조절하면 minHoldMs 동안은 다시 바꾸지 않음
+class ComfortController {
+  /**
+   * @param {object} opts
+   * @param {object} opts.log
+   * @param {string} opts.name 로그에 쓸 장치 이름
+   * @param {'setpoint'|'windFree'} opts.strategy
+   * @param {number} [opts.hysteresis] 목표 온도와의 허용 차이(℃)
+   * @param {number} [opts.minHoldMs] 조절 후 최소 유지 시간
+   * @param {number} [opts.step] setpoint 조절 단위(℃)
+   * @param {{ minValue: number, maxValue: number }} [opts.limits] setpoint 범위
+   * @param {() => Promise<{ room: number, target: number, setpoint: number, windFree: boolean }|null>} opts.readState
+   *   제어하지 않을 상황(전원 꺼짐, 냉방 외 모드, 센서 값 없음)이면 null
+   * @param {(value: number) => Promise<void>} opts.setSetpoint
+   * @param {(on: boolean) => Promise<void>} opts.setWindFree
+   * @param {number} [opts.intervalMs]
+   */
+  constructor({ log, name, strategy, hysteresis, minHoldMs, step, limits, readState, setSetpoint, setWindFree, intervalMs }) {
+    this.log = log;
+    this.name = name;
+    this.strategy = strategy;
+    this.hysteresis = Number.isFinite(hysteresis) && hysteresis >= 0 ? hysteresis : DEFAULT_HYSTERESIS;
+    this.minHoldMs = Number.isFinite(minHoldMs) && minHoldMs >= 0 ? minHoldMs : DEFAULT_MIN_HOLD;
+    this.step = step || 1;
+    this.limits = limits || { minValue: -Infinity, maxValue: Infinity };
+    this.readState = readState;
+    this.setSetpoint = setSetpoint;
+    this.setWindFree = setWindFree;
+    this.intervalMs = intervalMs || DEFAULT_INTERVAL;
+
+    this.lastChangeAt = 0;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.evaluate(), this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // 사용자가 직접 바꾼 직후에는 최소 유지 시간 동안 조절하지 않음
+  hold() {
+    this.lastChangeAt = Date.now();
+  }
+
+  // 한 번 판단해 필요하면 조절. 조절했으면 그 내용을, 아니면 null
+  evaluate() {
+    if (!this.running) {
+      this.running = this._evaluate().finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  async _evaluate() {
+    if (Date.now() - this.lastChangeAt < this.minHoldMs) return null;
+    let action;
+    let state;
+    try {
+      state = await this.readState();
+      if (!state) return null;
+      action = decide(this, state);
+      if (!action) return null;
+
+      if ('setpoint' in action) {
+        await this.setSetpoint(action.setpoint);
+        this.log.info(`[${this.name}] 방 온도 ${state.room}℃ (목표 ${state.target}℃): 설정 온도 ${state.setpoint}℃ → ${action.setpoint}℃`);
+      } else {
+        await this.setWindFree(action.windFree);
+        this.log.info(`[${this.name}] 방 온도 ${state.room}℃ (목표 ${state.target}℃): 무풍 ${action.windFree ? '켬' : '끔'}`);
+      }
+    } catch (e) {
+      this.log.warn(`[${this.name}] 쾌적 제어 실패:`, e.message);
+      return null;
+    }
+    this.lastChangeAt = Date.now();
+    return action;
+  }
+}
+
+ComfortController.STRATEGIES = STRATEGIES;
+ComfortController.decide = decide;
+
+module.exports = ComfortController;
@@ -0,0 +1,80 @@
+// lib/CommandQueue.js
+'use strict';
+
+// 장치별 명령 대기열: 짧은 시간 안에 들어온 명령을 한 번의 /commands 요청으로 묶어 전송.
+// 같은 component/capability에 대한 명령은 마지막 값만 보냄 (온도 슬라이더 드래그 등).
+// 같은 장치의 요청은 앞 요청이 끝난 뒤 보내 명령 순서가 바뀌지 않게 함
+class CommandQueue {
+  /**
+   * @param {object} opts
+   * @param {number} opts.delayMs 마지막 명령 이후 기다리는 시간
+   * @param {number} opts.maxDelayMs 첫 명령 이후 최대 대기 시간
+   * @param {(deviceId: string, commands: object[]) => Promise<void>} opts.send
+   */
+  constructor({ delayMs, maxDelayMs, send }) {
+    this.delayMs = Math.max(0, Number(delayMs) || 0);
+    this.maxDelayMs = Math.max(this.delayMs, Number(maxDelayMs) || 0);
+    this.send = send;
+    this.batches = new Map(); // deviceId -> { entries: Map<key, { command, waiters }>, timer, startedAt }
+    this.sending = new Map(); // deviceId -> 마지막 요청이 끝나면 resolve되는 promise
+  }
+
+  // 명령 배열을 넘기면 대기 시간과 관계없이 모두 같은 요청에 실림
+  enqueue(deviceId, command) {
+    const commands = Array.isArray(command) ? command : [command];
+    if (this.delayMs === 0) return this._send(deviceId, commands);
+
+    let batch = this.batches.get(deviceId);
+    if (!batch) {
+      batch = { entries: new Map(), timer: null, startedAt: Date.now() };
+      this.batches.set(deviceId, batch);
+    }
+
+    const promises = commands.map((c) => {
+      const key = `${c.component || 'main'}/${c.capability}`;
+      const entry = batch.entries.get(key) || { command: null, waiters: [] };
+      entry.command = c; // 순서는 처음 들어온 위치를 유지
+      batch.entries.set(key, entry);
+      return new Promise((resolve, reject) => entry.waiters.push({ resolve, reject }));
+    });
+
+    clearTimeout(batch.timer);
+    const wait = Math.min(this.delayMs, Math.max(0, batch.startedAt + this.maxDelayMs - Date.now()));
+    batch.timer = setTimeout(() => this.flush(deviceId), wait);
+    return Promise.all(promises).then(() => {});
+  }
+
+  async flush(deviceId) {
+    const batch = this.batches.get(deviceId);
+    if (!batch) return;
+    this.batches.delete(deviceId);
+    clearTimeout(batch.timer);
+
+    const entries = [...batch.entries.values()];
+    try {
+      await this._send(deviceId, entries.map(e => e.command));
+      for (const e of entries) e.waiters.forEach(w => w.resolve());
+    } catch (err) {
+      for (const e of entries) e.waiters.forEach(w => w.reject(err));
+    }
+  }
+
+  // 앞 요청의 성공 여부와 관계없이 순서대로 전송
+  _send(deviceId, commands) {
+    const previous = this.sending.get(deviceId) || Promise.resolve();
+    const request = previous.then(() => this.send(deviceId, commands));
+    const done = request.catch(() => {});
+    this.sending.set(deviceId, done);
+    done.then(() => {
+      if (this.sending.get(deviceId) === done) this.sending.delete(deviceId);
+    });
+    return request;
+  }
+
+  // 종료 시 대기 중인 명령을 바로 전송
+  flushAll() {
+    return Promise.all([...this.batches.keys()].map(deviceId => this.flush(deviceId)));
+  }
+}
+
+module.exports = CommandQueue;
@@ -0,0 +1,121 @@
+// lib/EnergyTracker.js
+'use strict';
+
+const fs = require('fs').promises;
+const { writeFileSync } = require('fs');
+const path = require('path');
+
+const HISTORY_DAYS = 31;
+const SAVE_DELAY = 30 * 1000;
+
+const localDate = (d = new Date()) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+// 장치별 누적 전력량(Wh)으로 하루 사용량과 전체 누적 사용량을 계산해 persist 폴더에 보관.
+// 전체 누적(totalWh)은 플러그인이 따로 더해 가므로 기기 누적값이 초기화돼도 줄지 않음
+class EnergyTracker {
+  constructor(log, persistPath) {
+    this.log = log;
+    this.filePath = path.join(persistPath, 'smartthings_ac_energy.json');
+    this.data = {}; // deviceId -> { date, startWh, lastWh, totalWh, days: { 'YYYY-MM-DD': kWh } }
+    this.saveTimer = null;
+  }
+
+  async load() {
+    try {
+      this.data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch {
+      this.data = {};
+    }
+    // 전체 누적이 없던 예전 파일은 남은 기록(최근 31일)과 오늘 사용량으로 시작
+    for (const entry of Object.values(this.data)) {
+      if (Number.isFinite(entry.totalWh)) continue;
+      const pastWh = Object.values(entry.days || {}).reduce((sum, kWh) => sum + kWh * 1000, 0);
+      entry.totalWh = pastWh + Math.max(0, entry.lastWh - entry.startWh);
+    }
+  }
+
+  /**
+   * 기기의 누적 전력량을 기록하고 오늘 사용량(kWh)을 돌려줌
+   * @param {string} deviceId
+   * @param {number} energyWh powerConsumptionReport의 누적 energy 값
+   */
+  record(deviceId, energyWh) {
+    if (!Number.isFinite(energyWh)) return this.today(deviceId);
+
+    const today = localDate();
+    let entry = this.data[deviceId];
+    if (!entry) {
+      entry = this.data[deviceId] = { date: today, startWh: energyWh, lastWh: energyWh, totalWh: 0, days: {} };
+    }
+
+    if (entry.date !== today) {
+      // 날짜가 바뀌면 전날 마지막 값을 오늘의 시작점으로
+      entry.days[entry.date] = Math.max(0, (entry.lastWh - entry.startWh) / 1000);
+      const keep = Object.keys(entry.days).sort().slice(-HISTORY_DAYS);
+      entry.days = Object.fromEntries(keep.map(d => [d, entry.days[d]]));
+      entry.date = today;
+      entry.startWh = entry.lastWh;
+    }
+    if (energyWh < entry.startWh) entry.startWh = energyWh; // 기기 누적값 초기화
+
+    if (entry.lastWh !== energyWh) {
+      // 기기 누적값이 줄었으면 초기화된 것으로 보고 초기화 이후 사용량만 더함
+      entry.totalWh += energyWh >= entry.lastWh ? energyWh - entry.lastWh : energyWh;
+      entry.lastWh = energyWh;
+      this._scheduleSave();
+    }
+    return this.today(deviceId);
+  }
+
+  today(deviceId) {
+    const entry = this.data[deviceId];
+    if (!entry || entry.date !== localDate()) return 0;
+    return Math.max(0, (entry.lastWh - entry.startWh) / 1000);
+  }
+
+  // 로컬 API용 요약. 기록이 없으면 null
+  summary(deviceId) {
+    if (!this.data[deviceId]) return null;
+    const round = kWh => Math.round(kWh * 1000) / 1000;
+    return { todayKWh: round(this.today(deviceId)), totalKWh: round(this.total(deviceId)) };
+  }
+
+  // 기록을 시작한 뒤 전체 누적 사용량(kWh). Eve의 Total Consumption처럼 줄지 않는 값
+  total(deviceId) {
+    const entry = this.data[deviceId];
+    return entry ? entry.totalWh / 1000 : 0;
+  }
+
+  _scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY);
+    this.saveTimer.unref?.();
+  }
+
+  async flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2), 'utf8');
+    } catch (e) {
+      this.log.error('전력 사용량 저장 실패:', e.message);
+    }
+  }
+
+  // 종료 시 저장. Homebridge가 shutdown 처리를 기다리지 않으므로 동기로 씀
+  flushSync() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), 'utf8');
+    } catch (e) {
+      this.log.error('전력 사용량 저장 실패:', e.message);
+    }
+  }
+}
+
+module.exports = EnergyTracker;
@@ -0,0 +1,39 @@
+// lib/EveCharacteristics.js
+'use strict';
+
+// Eve 앱이 인식하는 전력 특성 (Eve Energy와 같은 UUID)
+module.exports = (hap) => {
+  const { Characteristic, Formats, Perms } = hap;
+
+  class EveConsumption extends Characteristic {
+    constructor() {
+      super('Consumption', EveConsumption.UUID, {
+        format: Formats.FLOAT,
+        unit: 'W',
+        minValue: 0,
+        maxValue: 100000,
+        minStep: 0.1,
+        perms: [Perms.PAIRED_READ, Perms.NOTIFY],
+      });
+      this.value = this.getDefaultValue();
+    }
+  }
+  EveConsumption.UUID = 'E863F10D-079E-48FF-8F27-9C2605A29F52';
+
+  class EveTotalConsumption extends Characteristic {
+    constructor() {
+      super('Total Consumption', EveTotalConsumption.UUID, {
+        format: Formats.FLOAT,
+        unit: 'kWh',
+        minValue: 0,
+        maxValue: 1000000,
+        minStep: 0.001,
+        perms: [Perms.PAIRED_READ, Perms.NOTIFY],
+      });
+      this.value = this.getDefaultValue();
+    }
+  }
+  EveTotalConsumption.UUID = 'E863F10C-079E-48FF-8F27-9C2605A29F52';
+
+  return { EveConsumption, EveTotalConsumption };
+};
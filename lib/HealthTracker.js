@@ -0,0 +1,54 @@
+// lib/HealthTracker.js
+'use strict';
+
+const EventEmitter = require('events');
+
+// online: 정상 / degraded: 일시적 오류, 최근 값으로 응답 / offline: 기기 오프라인(SmartThings health) / unreachable: 클라우드 연결 불가
+const STATE_LABEL = {
+  online: '정상',
+  degraded: '일시적 오류(최근 값으로 응답)',
+  offline: '기기 오프라인',
+  unreachable: 'SmartThings 연결 불가',
+};
+
+// 장치별 연결 상태 추적. 특성마다 오류를 찍지 않고 상태가 바뀔 때 한 번만 기록하고 'change'를 알림
+class HealthTracker extends EventEmitter {
+  constructor(log) {
+    super();
+    this.log = log;
+    this.devices = new Map(); // deviceId -> { state, detail, since }
+    this.names = new Map();
+  }
+
+  setName(deviceId, name) {
+    this.names.set(deviceId, name);
+  }
+
+  get(deviceId) {
+    return this.devices.get(deviceId) || { state: 'online', detail: null, since: null };
+  }
+
+  isResponding(deviceId) {
+    const { state } = this.get(deviceId);
+    return state === 'online' || state === 'degraded';
+  }
+
+  report(deviceId, state, detail = null) {
+    const prev = this.get(deviceId);
+    if (prev.state === state) return;
+
+    this.devices.set(deviceId, { state, detail, since: Date.now() });
+    const name = this.names.get(deviceId) || deviceId;
+    const reason = detail ? ` (${detail})` : '';
+    if (state === 'online') {
+      this.log.info(`[${name}] 연결 상태: ${STATE_LABEL[prev.state]} → 정상`);
+    } else if (state === 'degraded') {
+      this.log.warn(`[${name}] 연결 상태: ${STATE_LABEL[state]}${reason}`);
+    } else {
+      this.log.error(`[${name}] 연결 상태: ${STATE_LABEL[state]}${reason}. HomeKit에 '응답 없음'으로 표시합니다.`);
+    }
+    this.emit('change', deviceId, state, prev.state);
+  }
+}
+
+module.exports = HealthTracker;
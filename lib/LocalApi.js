@@ -0,0 +1,196 @@
+// lib/LocalApi.js
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_BODY = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Bearer 토큰 비교 (길이가 달라도 일정 시간)
+function tokenMatches(header, token) {
+  const m = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!m) return false;
+  const a = crypto.createHash('sha256').update(m[1].trim()).digest();
+  const b = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// 진단/스크립트용 로컬 HTTP API. HomeKit이나 SmartThings 앱을 거치지 않고 장치 상태 확인과 명령 전송
+//   GET  /devices                  연동된 장치 목록(계정 포함), 연결 상태, 전력 사용량(오늘/누적 kWh)
+//   GET  /devices/:id/status       캐시된 상태(cached)와 SmartThings 원본 응답(raw). ?source=cached면 raw 생략
+//   POST /devices/:id/commands     { commands: [{ component, capability, command, arguments }] }
+//   GET  /token                    계정별 토큰 상태 (토큰 값은 제외)
+//   GET  /history                  모든 계정의 최근 명령/오류 기록. ?limit=N
+class LocalApi {
+  /**
+   * @param {object} opts
+   * @param {object} opts.log
+   * @param {string} opts.token Authorization: Bearer 토큰
+   * @param {number} opts.port
+   * @param {string} opts.host
+   * @param {() => Array<{ id: string, smartthings: import('./SmartThings') }>} opts.getAccounts
+   * @param {(deviceId: string) => import('./SmartThings')} opts.getClient 장치를 연동한 계정의 클라이언트
+   * @param {() => Array<{ deviceId: string, name: string, account: string, energy: object|null }>} opts.getDevices
+   * @param {(deviceId: string) => void} [opts.onCommand] 명령 전송 후 호출 (HomeKit 값 갱신용)
+   */
+  constructor({ log, token, port, host, getAccounts, getClient, getDevices, onCommand }) {
+    this.log = log;
+    this.token = token;
+    this.port = port;
+    this.host = host;
+    this.getAccounts = getAccounts;
+    this.getClient = getClient;
+    this.getDevices = getDevices;
+    this.onCommand = onCommand || (() => {});
+    this.server = null;
+  }
+
+  start() {
+    if (this.server) return;
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((e) => {
+        const status = e instanceof HttpError ? e.status : 500;
+        if (status === 500) this.log.error('[로컬 API] 요청 처리 오류:', e.message);
+        this._sendJson(res, status, { error: e.message });
+      });
+    }).listen(this.port, this.host, () => {
+      this.log.info(`로컬 API가 http://${this.host}:${this.port}에서 실행 중입니다.`);
+    });
+    this.server.on('error', (e) => { this.log.error(`로컬 API 서버 오류: ${e.message}`); });
+  }
+
+  stop() {
+    if (!this.server) return;
+    this.server.close();
+    this.server = null;
+  }
+
+  async _handle(req, res) {
+    if (!tokenMatches(req.headers.authorization, this.token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw new HttpError(401, '인증 토큰이 올바르지 않습니다.');
+    }
+
+    const reqUrl = new URL(req.url, 'http://localhost');
+    const parts = reqUrl.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const route = `${req.method} /${parts.map((p, i) => (i === 1 && parts[0] === 'devices' ? ':id' : p)).join('/')}`;
+
+    switch (route) {
+      case 'GET /devices':
+        return this._sendJson(res, 200, this._devices());
+      case 'GET /devices/:id/status':
+        return this._sendJson(res, 200, await this._status(this._device(parts[1]), reqUrl.searchParams.get('source')));
+      case 'POST /devices/:id/commands':
+        return this._sendJson(res, 200, await this._commands(this._device(parts[1]), await this._readJson(req)));
+      case 'GET /token':
+        return this._sendJson(res, 200, this.getAccounts().map(({ id, smartthings }) => ({ account: id, ...smartthings.tokenStatus() })));
+      case 'GET /history': {
+        const limit = Math.max(1, Number(reqUrl.searchParams.get('limit')) || 50);
+        return this._sendJson(res, 200, this._history().slice(-limit));
+      }
+      default:
+        throw new HttpError(404, 'Not Found');
+    }
+  }
+
+  _devices() {
+    return this.getDevices().map(({ deviceId, name, account, energy }) => {
+      const { state, detail, since } = this.getClient(deviceId).health.get(deviceId);
+      return { deviceId, name, account, health: { state, detail, since: since ? new Date(since).toISOString() : null }, energy: energy || null };
+    });
+  }
+
+  // 계정별 기록을 합쳐 시간순 정렬
+  _history() {
+    return this.getAccounts()
+      .flatMap(({ id, smartthings }) => smartthings.history.map(entry => ({ account: id, ...entry })))
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  _device(deviceId) {
+    const device = this.getDevices().find(d => d.deviceId === deviceId);
+    if (!device) throw new HttpError(404, `연동되지 않은 장치입니다: ${deviceId}`);
+    return device;
+  }
+
+  async _status({ deviceId }, source) {
+    const smartthings = this.getClient(deviceId);
+    const result = { deviceId, cached: smartthings.getCachedStatus(deviceId) };
+    if (source !== 'cached') {
+      try {
+        result.raw = await smartthings.getRawStatus(deviceId);
+      } catch (e) {
+        throw new HttpError(502, `SmartThings 상태 조회 실패: ${e.message}`);
+      }
+    }
+    return result;
+  }
+
+  async _commands({ deviceId }, body) {
+    const commands = Array.isArray(body?.commands) ? body.commands : body?.command ? [body] : null;
+    if (!commands || commands.length === 0) throw new HttpError(400, 'commands 배열이 필요합니다.');
+    for (const c of commands) {
+      if (typeof c?.capability !== 'string' || typeof c?.command !== 'string') {
+        throw new HttpError(400, '각 명령에는 capability와 command가 필요합니다.');
+      }
+      if (c.arguments !== undefined && !Array.isArray(c.arguments)) {
+        throw new HttpError(400, 'arguments는 배열이어야 합니다.');
+      }
+    }
+
+    const normalized = commands.map(c => ({
+      component: c.component || 'main',
+      capability: c.capability,
+      command: c.command,
+      ...(c.arguments ? { arguments: c.arguments } : {}),
+    }));
+    this.log.info(`[로컬 API] ${deviceId} 명령 요청: ${JSON.stringify(normalized)}`);
+    const smartthings = this.getClient(deviceId);
+    try {
+      await smartthings.sendCommand(deviceId, normalized);
+    } catch (e) {
+      throw new HttpError(502, `명령 전송 실패: ${e.message}`);
+    }
+    smartthings.invalidateStatus(deviceId);
+    this.onCommand(deviceId);
+    return { ok: true, commands: normalized };
+  }
+
+  _readJson(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_BODY) chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (size > MAX_BODY) {
+          reject(new HttpError(413, '요청 본문이 너무 큽니다.'));
+          return;
+        }
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+        } catch {
+          reject(new HttpError(400, 'JSON 형식이 올바르지 않습니다.'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _sendJson(res, status, data) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+module.exports = LocalApi;
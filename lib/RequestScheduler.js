@@ -0,0 +1,127 @@
+// lib/RequestScheduler.js
+'use strict';
+
+const WINDOW_MS = 60 * 1000;
+
+const PRIORITY = { COMMAND: 0, DEFAULT: 1 };
+
+// SmartThings API 요청 한도 관리: 설치(토큰) 전체 / 장치별 명령 한도를 1분 창으로 추적하고,
+// 한도에 걸리면 대기열에 두었다가 명령부터 순서대로 내보냄. 서버의 Retry-After/X-RateLimit-*도 반영
+class RequestScheduler {
+  constructor({ log, perMinute, deviceCommandsPerMinute }) {
+    this.log = log;
+    this.perMinute = Math.max(1, Number(perMinute) || 250);
+    this.deviceCommandsPerMinute = Math.max(1, Number(deviceCommandsPerMinute) || 12);
+
+    this.sent = []; // 최근 1분간 전송 시각
+    this.deviceSent = new Map(); // deviceId -> 최근 1분간 명령 전송 시각
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.server = null; // { limit, remaining, resetAt } (응답 헤더)
+    this.timer = null;
+  }
+
+  /**
+   * 요청을 보내도 될 때 resolve
+   * @param {{ priority?: number, deviceId?: string, label?: string }} opts deviceId는 명령 요청에만 지정
+   */
+  acquire({ priority = PRIORITY.DEFAULT, deviceId = null, label = '' } = {}) {
+    return new Promise((resolve) => {
+      this.queue.push({ priority, deviceId, label, resolve, queuedAt: Date.now() });
+      this.queue.sort((a, b) => a.priority - b.priority || a.queuedAt - b.queuedAt);
+      this._pump();
+    });
+  }
+
+  // 응답 헤더의 한도 정보 반영. X-RateLimit-Reset은 초기화까지 남은 ms
+  update(headers = {}) {
+    const limit = Number(headers['x-ratelimit-limit']);
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    const reset = Number(headers['x-ratelimit-reset']);
+    if (!Number.isFinite(remaining)) return;
+
+    this.server = {
+      limit: Number.isFinite(limit) ? limit : null,
+      remaining,
+      resetAt: Date.now() + (Number.isFinite(reset) ? reset : WINDOW_MS),
+    };
+    if (remaining <= 0) this.pause(this.server.resetAt - Date.now());
+  }
+
+  pause(ms) {
+    if (!(ms > 0)) return;
+    const until = Date.now() + ms;
+    if (until <= this.pausedUntil) return;
+    this.pausedUntil = until;
+    this.log.warn(`SmartThings 요청 한도 초과: ${Math.ceil(ms / 1000)}초 동안 요청을 보류합니다.`);
+    this._pump();
+  }
+
+  _prune(list, now) {
+    while (list.length > 0 && now - list[0] >= WINDOW_MS) list.shift();
+  }
+
+  // 지금 보낼 수 없으면 보낼 수 있는 시각을 반환
+  _readyAt(item, now) {
+    let at = Math.max(now, this.pausedUntil);
+    if (this.sent.length >= this.perMinute) at = Math.max(at, this.sent[0] + WINDOW_MS);
+    if (item.deviceId) {
+      const list = this.deviceSent.get(item.deviceId) || [];
+      if (list.length >= this.deviceCommandsPerMinute) at = Math.max(at, list[0] + WINDOW_MS);
+    }
+    return at;
+  }
+
+  _pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    this._prune(this.sent, now);
+    for (const [deviceId, list] of this.deviceSent) {
+      this._prune(list, now);
+      if (list.length === 0) this.deviceSent.delete(deviceId);
+    }
+
+    let nextAt = Infinity;
+    for (let i = 0; i < this.queue.length;) {
+      const item = this.queue[i];
+      const at = this._readyAt(item, now);
+      if (at > now) {
+        nextAt = Math.min(nextAt, at);
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this.sent.push(now);
+      if (item.deviceId) {
+        if (!this.deviceSent.has(item.deviceId)) this.deviceSent.set(item.deviceId, []);
+        this.deviceSent.get(item.deviceId).push(now);
+      }
+      if (now - item.queuedAt >= 1000) {
+        this.log.debug(`[요청 한도] ${item.label} ${Math.round((now - item.queuedAt) / 1000)}초 대기 후 전송`);
+      }
+      this.log.debug(`[요청 한도] ${this.usage()}`);
+      item.resolve();
+    }
+
+    if (nextAt !== Infinity) {
+      this.timer = setTimeout(() => this._pump(), nextAt - now);
+    }
+  }
+
+  usage() {
+    const parts = [`전체 ${this.sent.length}/${this.perMinute}회/분`];
+    for (const [deviceId, list] of this.deviceSent) {
+      parts.push(`${deviceId} 명령 ${list.length}/${this.deviceCommandsPerMinute}`);
+    }
+    if (this.server) parts.push(`서버 남은 한도 ${this.server.remaining}${this.server.limit ? `/${this.server.limit}` : ''}`);
+    if (this.queue.length > 0) parts.push(`대기 ${this.queue.length}건`);
+    return parts.join(', ');
+  }
+}
+
+RequestScheduler.PRIORITY = PRIORITY;
+
+module.exports = RequestScheduler;
@@ -2,41 +2,133 @@
 'use strict';
 
 const axios = require('axios');
-const fs = require('fs').promises;
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const path = require('path');
 const { LRUCache } = require('lru-cache');
 const { default: axiosRetry } = require('axios-retry');
+const CommandQueue = require('./CommandQueue');
+const RequestScheduler = require('./RequestScheduler');
+const HealthTracker = require('./HealthTracker');
+const TokenStore = require('./TokenStore');
+
+const DEFAULT_API_BASE_URL = 'https://api.smartthings.com/v1';
+const DEFAULT_AUTH_BASE_URL = 'https://api.smartthings.com'; // /oauth/authorize, /oauth/token
+const AUTH_SESSION_TTL = 10 * 60 * 1000;
+const REFRESH_MARGIN = 5 * 60 * 1000; // 만료 5분 전 미리 갱신
+const REFRESH_RETRY_DELAY = 60 * 1000;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const COMMAND_DEBOUNCE = 300; // 슬라이더/장면 명령을 묶는 기본 대기 시간
+const COMMAND_MAX_WAIT = 1500;
+const COMMAND_SETTLE = 10; // 명령 후 낙관적 상태를 유지하는 기본 시간(초)
+const STALE_STATUS_GRACE = 60; // 조회 실패 시 최근 상태로 응답하는 기본 시간(초)
+const HISTORY_SIZE = 100; // 진단용으로 보관하는 최근 명령/오류 수
+
+// 상태 값 비교 (숫자/문자열 표기 차이는 무시)
+const sameValue = (a, b) => (typeof a === 'object' || typeof b === 'object')
+  ? JSON.stringify(a) === JSON.stringify(b)
+  : String(a) === String(b);
+
+// Retry-After(초 또는 HTTP 날짜) → ms
+function retryAfterMs(headers) {
+  const v = headers?.['retry-after'];
+  if (v == null) return null;
+  const sec = Number(v);
+  if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+const base64url = buf => buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 
 const CAPABILITY = {
   OPTIONAL_MODE: 'custom.airConditionerOptionalMode',
   AUTO_CLEANING: 'custom.autoCleaningMode',
   SWITCH: 'switch',
   MODE: 'airConditionerMode',
+  FAN_MODE: 'airConditionerFanMode',
   COOL_SETPOINT: 'thermostatCoolingSetpoint',
-  TEMP: 'temperatureMeasurement'
+  HEAT_SETPOINT: 'thermostatHeatingSetpoint',
+  TEMP: 'temperatureMeasurement',
+  HUMIDITY: 'relativeHumidityMeasurement',
+  DUST: 'dustSensor',
+  DUST_FILTER: 'custom.dustFilter',
+  POWER_REPORT: 'powerConsumptionReport',
+  VOLUME: 'audioVolume',
+  LIGHTING: 'samsungce.airConditionerLighting',
+  SLEEP_TIMER: 'samsungce.sleepTimer'
 };
 
-class SmartThings {
+// HomeKit 기능 → SmartThings (capability, attribute, command) 기본 매핑.
+// component는 대상(기본 main)을 따르며, 장치 설정의 capabilityMap으로 기능별로 덮어쓸 수 있음
+const FEATURES = {
+  power: { capability: CAPABILITY.SWITCH, attribute: 'switch' }, // 명령은 on/off
+  mode: { capability: CAPABILITY.MODE, attribute: 'airConditionerMode', command: 'setAirConditionerMode' },
+  supportedModes: { capability: CAPABILITY.MODE, attribute: 'supportedAcModes' },
+  fanMode: { capability: CAPABILITY.FAN_MODE, attribute: 'fanMode', command: 'setFanMode' },
+  supportedFanModes: { capability: CAPABILITY.FAN_MODE, attribute: 'supportedAcFanModes' },
+  temperature: { capability: CAPABILITY.TEMP, attribute: 'temperature' },
+  humidity: { capability: CAPABILITY.HUMIDITY, attribute: 'humidity' },
+  coolingSetpoint: { capability: CAPABILITY.COOL_SETPOINT, attribute: 'coolingSetpoint', command: 'setCoolingSetpoint' },
+  heatingSetpoint: { capability: CAPABILITY.HEAT_SETPOINT, attribute: 'heatingSetpoint', command: 'setHeatingSetpoint' },
+  optionalMode: { capability: CAPABILITY.OPTIONAL_MODE, attribute: 'acOptionalMode', command: 'setAcOptionalMode' },
+  supportedOptionalModes: { capability: CAPABILITY.OPTIONAL_MODE, attribute: 'supportedAcOptionalMode' },
+  autoClean: { capability: CAPABILITY.AUTO_CLEANING, attribute: 'autoCleaningMode', command: 'setAutoCleaningMode' },
+  pm10: { capability: CAPABILITY.DUST, attribute: 'dustLevel' },
+  pm25: { capability: CAPABILITY.DUST, attribute: 'fineDustLevel' },
+  dustFilterUsage: { capability: CAPABILITY.DUST_FILTER, attribute: 'dustFilterUsage' },
+  dustFilterStatus: { capability: CAPABILITY.DUST_FILTER, attribute: 'dustFilterStatus' },
+  dustFilterReset: { capability: CAPABILITY.DUST_FILTER, command: 'resetDustFilter' },
+  powerConsumption: { capability: CAPABILITY.POWER_REPORT, attribute: 'powerConsumption' },
+  volume: { capability: CAPABILITY.VOLUME, attribute: 'volume', command: 'setVolume' },
+  displayLight: { capability: CAPABILITY.LIGHTING, attribute: 'lighting' }, // 명령은 on/off
+  offTimer: { capability: CAPABILITY.SLEEP_TIMER, attribute: 'remainingTime', command: 'setSleepTimer' } // 분 단위, 0이면 해제
+};
+
+class SmartThings extends EventEmitter {
   constructor(log, api, config) {
+    super();
     this.log = log;
     this.api = api;
     this.config = config;
 
-    this.tokenPath = path.join(this.api.user.persistPath(), 'smartthings_ac_token.json');
+    this.tokenPath = path.join(this.api.user.persistPath(), SmartThings.tokenFileName(this.config.accountName));
+    this.tokenStore = new TokenStore(this.log, this.tokenPath, { keyFile: this.config.tokenKeyFile });
     this.tokens = null;
+    this.tokensSavedAt = null; // 토큰 파일에 마지막으로 저장된 시각(ms)
     this.isRefreshing = false;
     this.pendingRequests = [];
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.needsReauth = false; // 리프레시 토큰이 폐기되어 브라우저 재인증이 필요한 상태
+
+    // 테스트용 가짜 서버나 프록시를 쓸 때 바꿀 수 있음
+    const trimSlash = u => String(u).replace(/\/+$/, '');
+    this.apiBaseUrl = trimSlash(this.config.apiBaseUrl || DEFAULT_API_BASE_URL);
+    this.authBaseUrl = trimSlash(this.config.authBaseUrl || DEFAULT_AUTH_BASE_URL);
 
     this.client = axios.create({
-      baseURL: 'https://api.smartthings.com/v1',
+      baseURL: this.apiBaseUrl,
       timeout: 10000
     });
 
+    this.scheduler = new RequestScheduler({
+      log: this.log,
+      perMinute: this.config.rateLimitPerMinute,
+      deviceCommandsPerMinute: this.config.deviceCommandsPerMinute
+    });
+
     axiosRetry(this.client, {
       retries: 3,
-      retryDelay: (n) => {
-        this.log.info(`SmartThings API 재시도 (${n}회차)...`);
-        return n * 1000;
+      retryDelay: (n, err) => {
+        // 429는 서버가 알려준 시간만큼 전체 요청을 보류 (재시도도 스케줄러를 거침)
+        const headers = err?.response?.headers;
+        if (headers) this.scheduler.update(headers);
+        const waitMs = retryAfterMs(headers);
+        if (err?.response?.status === 429 && waitMs) this.scheduler.pause(waitMs);
+        const delay = waitMs ?? Math.min(2 ** (n - 1) * 1000, 30 * 1000);
+        this.log.info(`SmartThings API 재시도 (${n}회차, ${Math.ceil(delay / 1000)}초 후)...`);
+        return delay;
       },
       retryCondition: (err) => {
         const s = err.response?.status;
@@ -46,21 +138,55 @@ class SmartThings {
 
     this._setupInterceptors();
 
-    this.cache = new LRUCache({ max: 100, ttl: 5 * 1000 });
+    // Webhook 모드에서는 EVENT로 캐시가 갱신되므로 상태를 오래 유지
+    const statusTtl = this.config.webhookEnabled ? 10 * 60 * 1000 : 5 * 1000;
+    this.cache = new LRUCache({ max: 100, ttl: statusTtl });
     this.statusPromises = new Map();
+
+    // 장치 연결 상태와, 일시적인 조회 실패 때 대신 쓸 최근 상태
+    this.health = new HealthTracker(this.log);
+    this.lastStatus = new Map(); // deviceId -> { data, at }
+    this.healthCheckedAt = new Map();
+    this.staleGraceMs = (Number.isFinite(this.config.staleStatusSeconds) ? this.config.staleStatusSeconds : STALE_STATUS_GRACE) * 1000;
+
+    // 명령 성공 후 기기가 반영하기 전까지 상태를 명령한 값으로 보여줌
+    this.settleMs = (Number.isFinite(this.config.commandSettleSeconds) ? this.config.commandSettleSeconds : COMMAND_SETTLE) * 1000;
+    this.expectations = new Map(); // deviceId -> Map<'component/capability/attribute', { ..., value, sentAt, timer }>
+
+    // 최근 명령/오류 기록 (로컬 API 진단용)
+    this.history = [];
+
+    this.commandQueue = new CommandQueue({
+      delayMs: Number.isFinite(this.config.commandDebounceMs) ? this.config.commandDebounceMs : COMMAND_DEBOUNCE,
+      maxDelayMs: COMMAND_MAX_WAIT,
+      send: (deviceId, commands) => this._postCommands(deviceId, commands)
+    });
   }
 
   _setupInterceptors() {
     this.client.interceptors.request.use(
-      (cfg) => {
-        if (this.tokens?.access_token) cfg.headers.Authorization = `Bearer ${this.tokens.access_token}`;
+      async (cfg) => {
+        if (this.needsReauth) throw new Error('SmartThings 재인증이 필요합니다.');
+
+        // 명령은 장치별 한도도 따지고, 상태 조회보다 먼저 내보냄
+        const command = cfg.method === 'post' && /^\/devices\/([^/]+)\/commands$/.exec(cfg.url);
+        await this.scheduler.acquire(command
+          ? { priority: RequestScheduler.PRIORITY.COMMAND, deviceId: command[1], label: `명령 ${command[1]}` }
+          : { label: `${cfg.method.toUpperCase()} ${cfg.url}` });
+
+        // authToken: Webhook INSTALL/UPDATE로 받은 SmartApp 토큰을 쓰는 요청
+        const token = cfg.authToken || this.tokens?.access_token;
+        if (token) cfg.headers.Authorization = `Bearer ${token}`;
         return cfg;
       },
       (e) => Promise.reject(e)
     );
 
     this.client.interceptors.response.use(
-      (res) => res,
+      (res) => {
+        this.scheduler.update(res.headers);
+        return res;
+      },
       async (error) => {
         const original = error.config;
         if (error.response?.status === 401 && !original._retry) {
@@ -77,7 +203,7 @@ class SmartThings {
             } catch (e) {
               this.isRefreshing = false;
               this._flushWaiters(e, null);
-              this.log.error('토큰 갱신 실패: 재인증 필요할 수 있습니다.');
+              if (!this.needsReauth) this.log.error('토큰 갱신 실패: 재인증 필요할 수 있습니다.');
               return Promise.reject(e);
             }
           }
@@ -102,19 +228,75 @@ class SmartThings {
     this.pendingRequests = [];
   }
 
-  async init() {
+  /**
+   * 저장된 토큰을 불러오고 만료 전 갱신을 예약. 불러왔으면 true
+   * @param {{ persist?: boolean }} [opts] persist가 false면 복구/암호화가 필요해도 토큰 파일을 다시 쓰지 않음
+   *   (실행 중인 Homebridge와 같은 파일을 쓰는 CLI 조회 명령용)
+   */
+  async init({ persist = true } = {}) {
+    let loaded;
     try {
-      this.tokens = JSON.parse(await fs.readFile(this.tokenPath, 'utf8'));
-      this.log.info('저장된 OAuth 토큰을 성공적으로 불러왔습니다.');
-      return true;
-    } catch {
+      loaded = await this.tokenStore.load();
+    } catch (e) {
+      this.log.error(`저장된 토큰을 불러오지 못했습니다: ${e.message}`);
+      return false;
+    }
+    if (!loaded) {
       this.log.warn('저장된 토큰이 없습니다. 사용자 인증이 필요합니다.');
       return false;
     }
+
+    this.tokens = loaded.tokens;
+    this.tokensSavedAt = loaded.mtimeMs;
+    this.log.info('저장된 OAuth 토큰을 성공적으로 불러왔습니다.');
+    if (!this.tokens.expires_at && this.tokens.expires_in) {
+      // expires_at 도입 이전 토큰: 파일 수정 시각 기준으로 추정
+      this.tokens.expires_at = loaded.mtimeMs + this.tokens.expires_in * 1000;
+    }
+    // 백업에서 복구했거나 평문으로 저장돼 있던 토큰은 새 형식으로 다시 저장
+    if (loaded.rewrite && persist) {
+      await this._saveTokens(this.tokens).catch((e) => {
+        this.log.warn('토큰 파일 다시 저장 실패:', e.message);
+      });
+    }
+    this._scheduleRefresh();
+    return true;
+  }
+
+  // 인증 요청 1회분: 콜백에서 state를 대조하고, PKCE 사용 시 code_verifier를 토큰 교환에 전달
+  createAuthSession({ usePkce = false, ttl = AUTH_SESSION_TTL } = {}) {
+    const session = {
+      state: base64url(crypto.randomBytes(24)),
+      codeVerifier: usePkce ? base64url(crypto.randomBytes(32)) : null,
+      expiresAt: Date.now() + ttl,
+    };
+    const params = new URLSearchParams({
+      client_id: this.config.clientId,
+      scope: 'r:devices:* w:devices:* x:devices:*',
+      response_type: 'code',
+      redirect_uri: this.config.redirectUri,
+      state: session.state,
+    });
+    if (session.codeVerifier) {
+      params.set('code_challenge', base64url(crypto.createHash('sha256').update(session.codeVerifier).digest()));
+      params.set('code_challenge_method', 'S256');
+    }
+    session.url = `${this.authBaseUrl}/oauth/authorize?${params.toString().replace(/\+/g, '%20')}`;
+    return session;
+  }
+
+  // 콜백 쿼리를 세션과 대조해 인증 코드를 돌려줌. 실패 시 사용자에게 보여줄 메시지와 함께 throw
+  validateAuthCallback(session, query) {
+    if (!session) throw new Error('진행 중인 인증 요청이 없습니다.');
+    if (Date.now() > session.expiresAt) throw new Error('인증 요청이 만료되었습니다. 새 인증 URL로 다시 시도하세요.');
+    if (!query.state || query.state !== session.state) throw new Error('state 값이 일치하지 않습니다.');
+    if (query.error) throw new Error(`SmartThings 인증 거부: ${query.error}`);
+    if (!query.code) throw new Error('URL에서 인증 코드를 찾을 수 없습니다.');
+    return query.code;
   }
 
-  async getInitialTokens(code) {
-    const tokenUrl = 'https://api.smartthings.com/oauth/token';
+  async getInitialTokens(code, codeVerifier) {
+    const tokenUrl = `${this.authBaseUrl}/oauth/token`;
     const auth = 'Basic ' + Buffer.from(`${this.config.clientId}:${this.config.clientSecret}`).toString('base64');
 
     try {
@@ -124,21 +306,33 @@ class SmartThings {
           grant_type: 'authorization_code',
           code,
           redirect_uri: this.config.redirectUri,
-          client_id: this.config.clientId
+          client_id: this.config.clientId,
+          ...(codeVerifier ? { code_verifier: codeVerifier } : {})
         }),
         { headers: { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: auth } }
       );
-      await this._saveTokens(resp.data);
+      this.needsReauth = false;
+      await this._saveTokens(this._stampExpiry(resp.data));
+      this._scheduleRefresh();
     } catch (e) {
       this.log.error(`초기 토큰 발급 실패: ${e.response?.status}`, e.response?.data || e.message);
       throw new Error('초기 토큰 발급 실패. 코드/리디렉트 URL을 확인하세요.');
     }
   }
 
-  async refreshToken() {
+  // 동시에 여러 곳(401 인터셉터, 예약 갱신)에서 불려도 실제 요청은 한 번만
+  refreshToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._refreshToken().finally(() => { this.refreshPromise = null; });
+    }
+    return this.refreshPromise;
+  }
+
+  async _refreshToken() {
     if (!this.tokens?.refresh_token) throw new Error('리프레시 토큰 없음');
+    const usedRefreshToken = this.tokens.refresh_token;
 
-    const tokenUrl = 'https://api.smartthings.com/oauth/token';
+    const tokenUrl = `${this.authBaseUrl}/oauth/token`;
     const auth = 'Basic ' + Buffer.from(`${this.config.clientId}:${this.config.clientSecret}`).toString('base64');
 
     try {
@@ -146,51 +340,228 @@ class SmartThings {
         tokenUrl,
         new URLSearchParams({
           grant_type: 'refresh_token',
-          refresh_token: this.tokens.refresh_token
+          refresh_token: usedRefreshToken
         }),
         { headers: { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: auth } }
       );
-      await this._saveTokens(resp.data);
+      await this._saveTokens({ installed_app_id: this.tokens.installed_app_id, ...this._stampExpiry(resp.data) });
+      this._scheduleRefresh();
       return this.tokens.access_token;
     } catch (e) {
+      if (this._isRevoked(e) && await this._reloadRotatedTokens(usedRefreshToken)) return this.tokens.access_token;
       this.log.error('토큰 갱신 실패:', e.message);
+      this._record('error', null, { action: 'refreshToken', message: e.message, status: e.response?.status });
+      if (this._isRevoked(e)) {
+        this._markReauthRequired();
+      } else {
+        this._scheduleRefresh(REFRESH_RETRY_DELAY);
+      }
       throw e;
     }
   }
 
+  // 명령행 도구(token refresh) 등 다른 프로세스가 먼저 토큰을 갱신하면 가진 리프레시 토큰이 폐기됨.
+  // 토큰 파일에 다른 리프레시 토큰이 있으면 그것으로 이어서 사용
+  async _reloadRotatedTokens(usedRefreshToken) {
+    const loaded = await this.tokenStore.load().catch(() => null);
+    const tokens = loaded?.tokens;
+    if (!tokens?.refresh_token || tokens.refresh_token === usedRefreshToken) return false;
+    this.tokens = tokens;
+    this.tokensSavedAt = loaded.mtimeMs;
+    this.log.info('다른 프로세스가 갱신한 토큰 파일을 다시 불러왔습니다.');
+    this._scheduleRefresh();
+    return true;
+  }
+
+  // invalid_grant 등: 리프레시 토큰이 만료/폐기되어 재시도해도 소용없는 경우
+  _isRevoked(e) {
+    const status = e.response?.status;
+    const code = e.response?.data?.error;
+    return code === 'invalid_grant' || code === 'invalid_token' || code === 'unauthorized_client' ||
+      ((status === 400 || status === 401) && !code);
+  }
+
+  _markReauthRequired() {
+    if (this.needsReauth) return;
+    this.needsReauth = true;
+    clearTimeout(this.refreshTimer);
+    this.cache.clear();
+    this.log.error('리프레시 토큰이 만료되었거나 폐기되었습니다. 브라우저에서 다시 인증해야 합니다.');
+    this.emit('reauthRequired');
+  }
+
+  _stampExpiry(tokens) {
+    return tokens.expires_in ? { ...tokens, expires_at: Date.now() + tokens.expires_in * 1000 } : tokens;
+  }
+
+  _scheduleRefresh(delay) {
+    clearTimeout(this.refreshTimer);
+    if (!this.tokens?.refresh_token) return;
+    if (delay == null) {
+      if (!this.tokens.expires_at) return;
+      delay = Math.max(0, this.tokens.expires_at - Date.now() - REFRESH_MARGIN);
+    }
+    this.refreshTimer = setTimeout(() => {
+      this.log.debug('액세스 토큰 만료 전 미리 갱신합니다.');
+      this.refreshToken().catch(() => { /* _refreshToken에서 로그/재시도 처리 */ });
+    }, Math.min(delay, MAX_TIMER_DELAY));
+    this.refreshTimer.unref?.();
+  }
+
+  shutdown() {
+    clearTimeout(this.refreshTimer);
+    this.commandQueue.flushAll();
+    for (const pending of this.expectations.values()) {
+      for (const exp of pending.values()) clearTimeout(exp.timer);
+    }
+    this.expectations.clear();
+  }
+
+  // 토큰 상태 요약. 토큰 값 자체는 내보내지 않음
+  tokenStatus() {
+    return {
+      authorized: !!this.tokens?.access_token,
+      needsReauth: this.needsReauth,
+      expiresAt: this.tokens?.expires_at ? new Date(this.tokens.expires_at).toISOString() : null,
+      hasRefreshToken: !!this.tokens?.refresh_token,
+      installedAppId: this.getInstalledAppId(),
+      refreshing: !!this.refreshPromise,
+    };
+  }
+
+  _record(type, deviceId, detail) {
+    this.history.push({ at: new Date().toISOString(), type, deviceId, ...detail });
+    if (this.history.length > HISTORY_SIZE) this.history.splice(0, this.history.length - HISTORY_SIZE);
+  }
+
   async _saveTokens(tokens) {
     this.tokens = tokens;
-    await fs.writeFile(this.tokenPath, JSON.stringify(tokens, null, 2), 'utf8');
+    await this.tokenStore.save(tokens);
+    this.tokensSavedAt = Date.now();
     this.log.info('토큰 저장/갱신 완료');
   }
 
+  // OAuth 토큰 응답(installed_app_id) 또는 Webhook INSTALL/UPDATE에서 받은 installedAppId
+  getInstalledAppId() {
+    return this.tokens?.installed_app_id || null;
+  }
+
+  async setInstalledAppId(installedAppId) {
+    if (!this.tokens || this.tokens.installed_app_id === installedAppId) return;
+    await this._saveTokens({ ...this.tokens, installed_app_id: installedAppId });
+  }
+
+  async subscribeDevices(deviceIds, authToken) {
+    const installedAppId = this.getInstalledAppId();
+    if (!installedAppId) {
+      this.log.warn('installedAppId를 알 수 없어 장치 이벤트를 구독하지 못했습니다. SmartApp INSTALL/UPDATE 이후 다시 시도합니다.');
+      return;
+    }
+
+    const opts = authToken ? { authToken } : {};
+    const base = `/installedapps/${installedAppId}/subscriptions`;
+    await this.client.delete(base, opts);
+    for (const [i, deviceId] of deviceIds.entries()) {
+      await this.client.post(base, {
+        sourceType: 'DEVICE',
+        device: {
+          deviceId,
+          componentId: '*',
+          capability: '*',
+          attribute: '*',
+          stateChangeOnly: true,
+          subscriptionName: `ac_${i}`
+        }
+      }, opts);
+    }
+    await this.client.post(base, {
+      sourceType: 'DEVICE_HEALTH',
+      deviceHealth: { deviceIds, subscriptionName: 'ac_health' }
+    }, opts);
+    this.log.info(`장치 이벤트 구독 완료: ${deviceIds.length}개`);
+  }
+
+  // EVENT lifecycle의 deviceEvent를 상태에 반영. 캐시가 만료됐으면 마지막으로 받은 상태에 합쳐 다시 캐시하고,
+  // 한 번도 조회하지 않은 장치는 다음 조회 때 새로 받음 (호출한 쪽은 항상 HomeKit 값을 다시 계산)
+  applyDeviceEvent({ deviceId, componentId, capability, attribute, value, unit }) {
+    if (capability === 'healthCheck' && attribute === 'DeviceWatch-DeviceStatus') {
+      this.health.report(deviceId, value === 'offline' ? 'offline' : 'online');
+    }
+
+    // 이벤트는 명령 이후의 실제 상태이므로 낙관적 값보다 우선
+    const key = `${componentId || 'main'}/${capability}/${attribute}`;
+    const exp = this.expectations.get(deviceId)?.get(key);
+    if (exp) {
+      if (!sameValue(exp.value, value)) {
+        this.log.debug(`[${deviceId}] ${capability}.${attribute}: 명령한 값(${exp.value}) 대신 이벤트 값(${value})을 반영합니다.`);
+      }
+      this._dropExpectation(deviceId, key);
+    }
+
+    const s = this.cache.get(`status-${deviceId}`) || this.lastStatus.get(deviceId)?.data;
+    if (!s) return;
+
+    const component = s[componentId || 'main'] = s[componentId || 'main'] || {};
+    component[capability] = { ...(component[capability] || {}), [attribute]: { value, ...(unit ? { unit } : {}) } };
+    this.cache.set(`status-${deviceId}`, s);
+  }
+
   async getDevices() {
     try {
       const res = await this.client.get('/devices');
       return res.data.items || [];
     } catch (e) {
       this.log.error('디바이스 목록 조회 오류:', e.message);
+      this._record('error', null, { action: 'getDevices', message: e.message, status: e.response?.status });
       throw e;
     }
   }
 
-  async getStatus(deviceId) {
-    const key = `status-${deviceId}`;
-    const cached = this.cache.get(key);
+  // DEVICE_HEALTH 구독으로 받은 deviceHealthEvent 반영
+  applyHealthEvent({ deviceId, status }) {
+    this.health.report(deviceId, status === 'OFFLINE' ? 'offline' : 'online');
+  }
+
+  // 모든 컴포넌트의 상태: { main: { capability: { attribute: { value } } }, ... }
+  // 조회가 실패해도 staleGraceMs 안의 최근 상태가 있으면 그 값으로 응답 (allowStale: false면 그대로 실패)
+  async getStatus(deviceId, { allowStale = true } = {}) {
+    const cached = this.cache.get(`status-${deviceId}`);
     if (cached) return cached;
 
+    try {
+      return await this._fetchStatus(deviceId);
+    } catch (err) {
+      const last = this.lastStatus.get(deviceId);
+      if (allowStale && last && Date.now() - last.at < this.staleGraceMs) return last.data;
+      throw err;
+    }
+  }
+
+  _fetchStatus(deviceId) {
     if (this.statusPromises.has(deviceId)) return this.statusPromises.get(deviceId);
 
     const p = this.client
       .get(`/devices/${deviceId}/status`)
       .then((res) => {
-        const data = res.data?.components?.main || {};
-        this.cache.set(key, data);
+        const data = this._overlayExpectations(deviceId, res.data?.components || {});
+        this.cache.set(`status-${deviceId}`, data);
+        this.lastStatus.set(deviceId, { data, at: Date.now() });
+        this._reportHealthFromStatus(deviceId, data);
         return data;
       })
       .catch((e) => {
-        this.log.error(`[${deviceId}] 상태 조회 실패:`, e.message);
-        throw new Error(`[${deviceId}] 상태 조회에 실패했습니다.`);
+        this.log.debug(`[${deviceId}] 상태 조회 실패:`, e.message);
+        this._record('error', deviceId, { action: 'getStatus', message: e.message, status: e.response?.status });
+        if (!this.needsReauth) {
+          const last = this.lastStatus.get(deviceId);
+          const state = last && Date.now() - last.at < this.staleGraceMs ? 'degraded' : 'unreachable';
+          if (this.health.get(deviceId).state !== 'offline') this.health.report(deviceId, state, e.message);
+        }
+        const err = new Error(`[${deviceId}] 상태 조회에 실패했습니다.`);
+        err.code = 'STATUS_FAILED';
+        err.status = e.response?.status;
+        err.retryAfter = e.response?.headers?.['retry-after'];
+        throw err;
       })
       .finally(() => this.statusPromises.delete(deviceId));
 
@@ -198,79 +569,325 @@ class SmartThings {
     return p;
   }
 
+  // healthCheck capability가 있으면 그 값으로, 없으면 조회 성공을 정상으로 간주
+  // (오프라인은 health API/이벤트가 online을 알려줄 때만 해제)
+  _reportHealthFromStatus(deviceId, data) {
+    const watch = data.main?.healthCheck?.['DeviceWatch-DeviceStatus']?.value;
+    if (watch === 'offline') {
+      this.health.report(deviceId, 'offline');
+    } else if (watch === 'online' || this.health.get(deviceId).state !== 'offline') {
+      this.health.report(deviceId, 'online');
+    }
+  }
+
+  // 캐시에 있는 상태 그대로(낙관적 값 포함). 없으면 null
+  getCachedStatus(deviceId) {
+    const cached = this.cache.get(`status-${deviceId}`);
+    if (cached) return cached;
+    return this.lastStatus.get(deviceId)?.data || null;
+  }
+
+  // SmartThings 응답 그대로의 상태 (캐시/낙관적 값 미반영, 진단용)
+  async getRawStatus(deviceId) {
+    const res = await this.client.get(`/devices/${deviceId}/status`);
+    return res.data;
+  }
+
+  invalidateStatus(deviceId) {
+    this.cache.delete(`status-${deviceId}`);
+  }
+
+  // 캐시를 건너뛰고 상태를 새로 조회 (폴러용). 실패를 숨기지 않음
+  async refreshStatus(deviceId) {
+    if (!this.statusPromises.has(deviceId)) this.cache.delete(`status-${deviceId}`);
+    return this.getStatus(deviceId, { allowStale: false });
+  }
+
+  // /devices/{id}/health로 기기 온라인 여부 확인. minIntervalMs 안에 확인했으면 건너뜀
+  async checkHealth(deviceId, minIntervalMs = 0) {
+    const last = this.healthCheckedAt.get(deviceId) || 0;
+    if (Date.now() - last < minIntervalMs) return;
+    this.healthCheckedAt.set(deviceId, Date.now());
+    try {
+      const res = await this.client.get(`/devices/${deviceId}/health`);
+      this.health.report(deviceId, res.data?.state === 'OFFLINE' ? 'offline' : 'online');
+    } catch (e) {
+      this.log.debug(`[${deviceId}] 연결 상태 확인 실패:`, e.message);
+    }
+  }
+
+  // 명령은 대기열을 거쳐 묶어서 전송. 묶인 요청이 끝나면 함께 resolve/reject.
+  // 배열로 넘긴 명령은 항상 한 번의 /commands 요청에 함께 실림
   async sendCommand(deviceId, command) {
-    const commands = Array.isArray(command) ? command : [command];
+    await this.commandQueue.enqueue(deviceId, command);
+  }
+
+  async _postCommands(deviceId, commands) {
     try {
-      this.cache.delete(`status-${deviceId}`);
       await this.client.post(`/devices/${deviceId}/commands`, { commands });
       this.log.info(`[명령 전송] ${deviceId} -> ${JSON.stringify(commands)}`);
+      this._record('command', deviceId, { commands });
     } catch (e) {
       this.log.error(`[명령 전송 실패] ${deviceId}:`, e.message);
+      this._record('error', deviceId, { action: 'command', commands, message: e.message, status: e.response?.status });
       throw e;
     }
   }
 
-  async _getCap(deviceId, capability, attribute, def) {
+  // 문자열(deviceId) 또는 { deviceId, component, mapping } 형태의 대상 정규화
+  _target(target) {
+    return typeof target === 'string' ? { deviceId: target } : target;
+  }
+
+  // 기능 이름을 (component, capability, attribute, command)로 풀이. 장치 매핑이 기본값보다 우선
+  _feature(target, name) {
+    const t = this._target(target);
+    return { component: t.component || 'main', ...FEATURES[name], ...(t.mapping?.[name] || {}) };
+  }
+
+  async _read(target, name, def) {
+    const { deviceId } = this._target(target);
+    const { component, capability, attribute } = this._feature(target, name);
     const s = await this.getStatus(deviceId);
-    const shortKey = capability.split('.').pop();
-    const obj = s[shortKey] || s[capability];
-    const v = obj?.[attribute]?.value;
+    const v = s[component]?.[capability]?.[attribute]?.value;
     return v == null ? def : v;
   }
 
+  _command(target, name, args, fallbackCommand) {
+    return this.sendFeatureCommands(target, [{ name, args, fallbackCommand }]);
+  }
+
+  /**
+   * 여러 기능 명령을 한 번의 /commands 요청으로 전송 (프리셋 등).
+   * command가 비어 있는 기능(switch 등)은 fallbackCommand를 사용하고, 성공하면 각 attribute를
+   * 명령한 값으로 캐시에 반영 (args가 없으면 명령 이름이 곧 값: on/off)
+   * @param {string|object} target
+   * @param {Array<{ name: string, args?: any[], fallbackCommand?: string }>} steps FEATURES의 기능 이름과 인자
+   */
+  async sendFeatureCommands(target, steps) {
+    const { deviceId } = this._target(target);
+    const resolved = steps.map(({ name, args, fallbackCommand }) => {
+      const { component, capability, attribute, command } = this._feature(target, name);
+      return { component, capability, attribute, command: command || fallbackCommand, args };
+    });
+    await this.sendCommand(deviceId, resolved.map(({ component, capability, command, args }) => ({
+      component,
+      capability,
+      command,
+      ...(args ? { arguments: args } : {})
+    })));
+
+    for (const { component, capability, attribute, command, args } of resolved) {
+      if (attribute && this.settleMs > 0) {
+        this._expect(deviceId, { component, capability, attribute, value: args ? args[0] : command });
+      } else {
+        this.cache.delete(`status-${deviceId}`);
+      }
+    }
+  }
+
+  _expect(deviceId, { component, capability, attribute, value }) {
+    const key = `${component}/${capability}/${attribute}`;
+    if (!this.expectations.has(deviceId)) this.expectations.set(deviceId, new Map());
+    clearTimeout(this.expectations.get(deviceId).get(key)?.timer);
+
+    const exp = { component, capability, attribute, value, sentAt: Date.now() };
+    exp.timer = setTimeout(() => this._settle(deviceId, key, exp), this.settleMs);
+    exp.timer.unref?.();
+    this.expectations.get(deviceId).set(key, exp);
+
+    const s = this.cache.get(`status-${deviceId}`);
+    if (s) this.cache.set(`status-${deviceId}`, this._overlayExpectations(deviceId, s));
+  }
+
+  _dropExpectation(deviceId, key) {
+    const pending = this.expectations.get(deviceId);
+    clearTimeout(pending?.get(key)?.timer);
+    pending?.delete(key);
+    if (pending?.size === 0) this.expectations.delete(deviceId);
+  }
+
+  // 조회한 상태에 아직 반영되지 않은 명령 값을 덮어씀 (optimistic 표시).
+  // 기기가 명령 값에 도달했거나, 명령 이후 시각의 다른 값이 오면 그 값을 그대로 사용
+  _overlayExpectations(deviceId, status) {
+    const pending = this.expectations.get(deviceId);
+    if (!pending) return status;
+
+    for (const [key, exp] of pending) {
+      const current = status[exp.component]?.[exp.capability]?.[exp.attribute];
+      if (current && !current.optimistic && sameValue(current.value, exp.value)) {
+        this._dropExpectation(deviceId, key);
+        continue;
+      }
+      if (current?.timestamp && Date.parse(current.timestamp) > exp.sentAt) {
+        this.log.debug(`[${deviceId}] ${exp.capability}.${exp.attribute}: 명령 이후 바뀐 값(${JSON.stringify(current.value)})을 반영합니다.`);
+        this._dropExpectation(deviceId, key);
+        continue;
+      }
+      const component = status[exp.component] = status[exp.component] || {};
+      component[exp.capability] = { ...(component[exp.capability] || {}), [exp.attribute]: { ...(current || {}), value: exp.value, optimistic: true } };
+    }
+    return status;
+  }
+
+  // 유지 시간이 끝나면 실제 상태를 다시 조회해, 명령한 값과 다르면 경고 후 HomeKit 갱신 요청
+  async _settle(deviceId, key, exp) {
+    if (this.expectations.get(deviceId)?.get(key) !== exp) return;
+    this._dropExpectation(deviceId, key);
+    try {
+      const s = await this.refreshStatus(deviceId);
+      const actual = s[exp.component]?.[exp.capability]?.[exp.attribute]?.value;
+      if (!sameValue(actual, exp.value)) {
+        this.log.warn(`[${deviceId}] ${this.settleMs / 1000}초가 지나도 명령한 상태로 바뀌지 않았습니다: ${exp.capability}.${exp.attribute} = ${JSON.stringify(actual)} (명령: ${JSON.stringify(exp.value)})`);
+        this.emit('stateDiverged', deviceId);
+      }
+    } catch (e) {
+      this.log.debug(`[${deviceId}] 명령 반영 확인 실패:`, e.message);
+    }
+  }
+
   // Getters
-  async getPower(deviceId) {
-    return (await this._getCap(deviceId, CAPABILITY.SWITCH, 'switch', 'off')) === 'on';
+  async getPower(target) {
+    return (await this._read(target, 'power', 'off')) === 'on';
+  }
+  // 현재 온도(℃). 값이 없으면 null
+  async getCurrentTemperature(target) {
+    const v = await this._read(target, 'temperature', null);
+    return v == null || !isFinite(Number(v)) ? null : Number(v);
+  }
+  async getHumidity(target) {
+    return Number(await this._read(target, 'humidity', 0));
+  }
+  // 미세먼지(µg/m³). 값이 없으면 null
+  async getDustLevels(target) {
+    const num = v => (v == null || !isFinite(Number(v)) ? null : Number(v));
+    return {
+      pm10: num(await this._read(target, 'pm10', null)),
+      pm25: num(await this._read(target, 'pm25', null)),
+    };
+  }
+  // 필터 사용률(%)과 상태(normal/wash/replace)
+  async getDustFilter(target) {
+    const usage = Number(await this._read(target, 'dustFilterUsage', 0));
+    const status = await this._read(target, 'dustFilterStatus', 'normal');
+    return { usage: isFinite(usage) ? usage : 0, status };
+  }
+  // 순간 전력(W)과 누적 전력량(Wh). 보고가 없으면 null
+  async getPowerConsumption(target) {
+    const report = await this._read(target, 'powerConsumption', null);
+    if (!report || typeof report !== 'object') return null;
+    return { power: Number(report.power) || 0, energy: Number(report.energy) };
+  }
+  // 전원 상태가 마지막으로 바뀐 시각(ms). SmartThings가 timestamp를 보내지 않았으면 null
+  async getPowerChangedAt(target) {
+    const { deviceId } = this._target(target);
+    const { component, capability, attribute } = this._feature(target, 'power');
+    const s = await this.getStatus(deviceId);
+    const at = Date.parse(s[component]?.[capability]?.[attribute]?.timestamp);
+    return Number.isFinite(at) ? at : null;
+  }
+  async getCoolingSetpoint(target) {
+    return Number(await this._read(target, 'coolingSetpoint', 18));
+  }
+  async getMode(target) {
+    return await this._read(target, 'mode', null);
+  }
+  async getSupportedModes(target) {
+    const modes = await this._read(target, 'supportedModes', []);
+    return Array.isArray(modes) ? modes : [];
+  }
+  async getFanMode(target) {
+    return await this._read(target, 'fanMode', null);
+  }
+  async getSupportedFanModes(target) {
+    const modes = await this._read(target, 'supportedFanModes', []);
+    return Array.isArray(modes) ? modes : [];
+  }
+  // 난방 설정온도 capability가 없는 기기(삼성 대부분)는 단일 설정온도(coolingSetpoint)를 공유
+  async hasHeatingSetpoint(target) {
+    return (await this._read(target, 'heatingSetpoint', null)) != null;
   }
-  async getCurrentTemperature(deviceId) {
-    return Number(await this._getCap(deviceId, CAPABILITY.TEMP, 'temperature', 18));
+  async getHeatingSetpoint(target) {
+    if (!await this.hasHeatingSetpoint(target)) return this.getCoolingSetpoint(target);
+    return Number(await this._read(target, 'heatingSetpoint', 18));
   }
-  async getCoolingSetpoint(deviceId) {
-    return Number(await this._getCap(deviceId, CAPABILITY.COOL_SETPOINT, 'coolingSetpoint', 18));
+  async getOptionalMode(target) {
+    return await this._read(target, 'optionalMode', 'off');
   }
-  async getWindFree(deviceId) {
-    return (await this._getCap(deviceId, CAPABILITY.OPTIONAL_MODE, 'acOptionalMode', 'off')) === 'windFree';
+  async getSupportedOptionalModes(target) {
+    const modes = await this._read(target, 'supportedOptionalModes', []);
+    return Array.isArray(modes) ? modes : [];
   }
-  async getAutoClean(deviceId) {
-    return (await this._getCap(deviceId, CAPABILITY.AUTO_CLEANING, 'autoCleaningMode', 'off')) === 'on';
+  async getWindFree(target) {
+    return (await this.getOptionalMode(target)) === 'windFree';
+  }
+  // 알림음 볼륨(0~100). capability가 없으면 null
+  async getVolume(target) {
+    const v = await this._read(target, 'volume', null);
+    return v == null ? null : Number(v);
+  }
+  // 기기 자체 꺼짐 예약의 남은 시간(분). capability가 없으면 null
+  async getDeviceOffTimer(target) {
+    const v = await this._read(target, 'offTimer', null);
+    return v == null ? null : Number(v);
+  }
+  // 디스플레이 조명. capability가 없으면 null
+  async getDisplayLight(target) {
+    const v = await this._read(target, 'displayLight', null);
+    return v == null ? null : v === 'on';
+  }
+  async getAutoClean(target) {
+    return (await this._read(target, 'autoClean', 'off')) === 'on';
   }
 
   // Setters
-  setPower(deviceId, on) {
-    return this.sendCommand(deviceId, { component: 'main', capability: CAPABILITY.SWITCH, command: on ? 'on' : 'off' });
-  }
-  setMode(deviceId, mode) {
-    return this.sendCommand(deviceId, {
-      component: 'main',
-      capability: CAPABILITY.MODE,
-      command: 'setAirConditionerMode',
-      arguments: [mode]
-    });
+  setPower(target, on) {
+    return this._command(target, 'power', null, on ? 'on' : 'off');
   }
-  setTemperature(deviceId, value) {
-    return this.sendCommand(deviceId, {
-      component: 'main',
-      capability: CAPABILITY.COOL_SETPOINT,
-      command: 'setCoolingSetpoint',
-      arguments: [value]
-    });
+  setMode(target, mode) {
+    return this._command(target, 'mode', [mode]);
   }
-  setWindFree(deviceId, enable) {
-    return this.sendCommand(deviceId, {
-      component: 'main',
-      capability: CAPABILITY.OPTIONAL_MODE,
-      command: 'setAcOptionalMode',
-      arguments: [enable ? 'windFree' : 'off']
-    });
+  setFanMode(target, fanMode) {
+    return this._command(target, 'fanMode', [fanMode]);
   }
-  setAutoClean(deviceId, enable) {
-    return this.sendCommand(deviceId, {
-      component: 'main',
-      capability: CAPABILITY.AUTO_CLEANING,
-      command: 'setAutoCleaningMode',
-      arguments: [enable ? 'on' : 'off']
-    });
+  setTemperature(target, value) {
+    return this._command(target, 'coolingSetpoint', [value]);
+  }
+  async setHeatingSetpoint(target, value) {
+    if (!await this.hasHeatingSetpoint(target)) return this.setTemperature(target, value);
+    return this._command(target, 'heatingSetpoint', [value]);
+  }
+  resetDustFilter(target) {
+    return this._command(target, 'dustFilterReset', []);
+  }
+  // 부가 모드는 한 번에 하나만 켜짐. 'off'로 해제
+  setOptionalMode(target, mode) {
+    return this._command(target, 'optionalMode', [mode]);
+  }
+  setWindFree(target, enable) {
+    return this.setOptionalMode(target, enable ? 'windFree' : 'off');
+  }
+  setVolume(target, volume) {
+    return this._command(target, 'volume', [volume]);
+  }
+  setDeviceOffTimer(target, minutes) {
+    return this._command(target, 'offTimer', [minutes]);
+  }
+  setDisplayLight(target, on) {
+    return this._command(target, 'displayLight', null, on ? 'on' : 'off');
+  }
+  setAutoClean(target, enable) {
+    return this._command(target, 'autoClean', [enable ? 'on' : 'off']);
   }
 }
 
+SmartThings.FEATURES = FEATURES;
+
+// 계정별 토큰 파일 이름. 기본 계정(최상위 설정)은 예전 파일 이름을 그대로 사용
+SmartThings.tokenFileName = (accountName) => {
+  if (!accountName) return 'smartthings_ac_token.json';
+  const id = crypto.createHash('sha1').update(String(accountName).normalize('NFC').trim()).digest('hex').slice(0, 10);
+  return `smartthings_ac_token_${id}.json`;
+};
+
 module.exports = SmartThings;
@@ -0,0 +1,87 @@
+// lib/StatusPoller.js
+'use strict';
+
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+// 상태값만 뽑아 비교용 스냅샷 생성 (timestamp 등 메타데이터 제외)
+function snapshotOf(status) {
+  const out = {};
+  for (const [component, capabilities] of Object.entries(status || {})) {
+    for (const [capability, attrs] of Object.entries(capabilities || {})) {
+      for (const [attribute, data] of Object.entries(attrs || {})) {
+        out[`${component}/${capability}.${attribute}`] = JSON.stringify(data?.value ?? null);
+      }
+    }
+  }
+  return out;
+}
+
+// 주기적으로 /devices/{id}/status를 조회하고, 값이 바뀐 장치만 onChange로 알림
+class StatusPoller {
+  constructor({ log, smartthings, intervalSec, getDeviceIds, onChange }) {
+    this.log = log;
+    this.smartthings = smartthings;
+    this.intervalMs = Math.max(5, Number(intervalSec) || 0) * 1000;
+    this.getDeviceIds = getDeviceIds;
+    this.onChange = onChange;
+
+    this.snapshots = new Map();
+    this.delayMs = this.intervalMs;
+    this.timer = null;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this.log.info(`상태 폴링 시작 (주기 ${this.intervalMs / 1000}초)`);
+    this._schedule(this.intervalMs);
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delayMs) {
+    if (this.stopped) return;
+    this.timer = setTimeout(() => this._tick(), delayMs);
+  }
+
+  async _tick() {
+    let failure = null;
+    for (const deviceId of this.getDeviceIds()) {
+      try {
+        const status = await this.smartthings.refreshStatus(deviceId);
+        const next = snapshotOf(status);
+        const prev = this.snapshots.get(deviceId);
+        this.snapshots.set(deviceId, next);
+
+        const changed = prev && Object.keys(next).filter(k => prev[k] !== next[k]);
+        if (changed && changed.length > 0) {
+          this.log.debug(`[${deviceId}] 상태 변경 감지: ${changed.join(', ')}`);
+          await this.onChange(deviceId);
+        }
+      } catch (e) {
+        failure = e;
+        if (e.status === 429) break; // 남은 장치도 같은 한도를 공유하므로 중단
+      }
+    }
+
+    if (failure) {
+      const retryAfterMs = Number(failure.retryAfter) * 1000;
+      this.delayMs = Number.isFinite(retryAfterMs) && retryAfterMs > 0
+        ? Math.max(retryAfterMs, this.delayMs)
+        : Math.min(this.delayMs * 2, MAX_BACKOFF_MS);
+      this.log.warn(`상태 폴링 실패${failure.status === 429 ? '(요청 한도 초과)' : ''}: ${Math.round(this.delayMs / 1000)}초 후 다시 시도합니다.`);
+    } else if (this.delayMs !== this.intervalMs) {
+      this.log.info('상태 폴링이 정상화되었습니다.');
+      this.delayMs = this.intervalMs;
+    }
+
+    this._schedule(this.delayMs);
+  }
+}
+
+module.exports = StatusPoller;
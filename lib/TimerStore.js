@@ -0,0 +1,102 @@
+// lib/TimerStore.js
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// 예약 작업(꺼짐 예약 등)의 마감 시각을 persist 폴더에 저장해 Homebridge 재시작 후에도 이어서 실행
+class TimerStore {
+  constructor(log, persistPath) {
+    this.log = log;
+    this.filePath = path.join(persistPath, 'smartthings_ac_timers.json');
+    this.entries = {}; // key -> { deadline, ...data }
+    this.timers = new Map();
+    this.onExpire = null;
+    this.saving = null;
+  }
+
+  async load() {
+    try {
+      this.entries = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch {
+      this.entries = {};
+    }
+  }
+
+  // 만료 처리기 등록 후 저장된 예약을 다시 건다. 재시작 중에 지난 예약은 바로 실행.
+  // filter를 넘기면 통과한 예약만 걸고, 나머지는 다음 start 호출 때 다시 확인
+  // (여러 계정이 차례로 장치를 연동할 때 아직 연동되지 않은 장치의 예약이 먼저 실행되지 않도록)
+  start(onExpire, filter = () => true) {
+    this.onExpire = onExpire;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (!this.timers.has(key) && filter(entry)) this._arm(key);
+    }
+  }
+
+  get(key) {
+    return this.entries[key] || null;
+  }
+
+  remaining(key) {
+    const entry = this.entries[key];
+    return entry ? Math.max(0, entry.deadline - Date.now()) : 0;
+  }
+
+  schedule(key, deadline, data = {}) {
+    this.entries[key] = { ...data, deadline };
+    this._arm(key);
+    this._save();
+  }
+
+  cancel(key) {
+    if (!this.entries[key]) return false;
+    clearTimeout(this.timers.get(key));
+    this.timers.delete(key);
+    delete this.entries[key];
+    this._save();
+    return true;
+  }
+
+  shutdown() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  _arm(key) {
+    clearTimeout(this.timers.get(key));
+    if (!this.onExpire) return;
+    const delay = Math.max(0, this.entries[key].deadline - Date.now());
+    this.timers.set(key, setTimeout(() => this._fire(key), Math.min(delay, MAX_TIMER_DELAY)));
+  }
+
+  async _fire(key) {
+    const entry = this.entries[key];
+    if (!entry) return;
+    if (entry.deadline > Date.now()) return this._arm(key); // 최대 타이머 지연보다 긴 예약
+
+    this.timers.delete(key);
+    delete this.entries[key];
+    this._save();
+    try {
+      await this.onExpire(key, entry);
+    } catch (e) {
+      this.log.error(`예약 작업 실행 실패 (${key}):`, e.message);
+    }
+  }
+
+  // 저장이 겹치면 먼저 시작한 쓰기가 나중에 끝날 수 있으므로 순서대로 저장
+  _save() {
+    this.saving = (this.saving || Promise.resolve()).then(async () => {
+      try {
+        await fs.writeFile(this.filePath, JSON.stringify(this.entries, null, 2), 'utf8');
+      } catch (e) {
+        this.log.error('예약 정보 저장 실패:', e.message);
+      }
+    });
+    return this.saving;
+  }
+}
+
+module.exports = TimerStore;
@@ -0,0 +1,156 @@
+// lib/TokenStore.js
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_ENV = 'SMARTTHINGS_AC_TOKEN_KEY';
+const CIPHER = 'aes-256-gcm';
+const FILE_MODE = 0o600; // 소유자만 읽기/쓰기
+
+const exists = file => fs.access(file).then(() => true, () => false);
+
+// OAuth 토큰 파일 저장소.
+// 임시 파일에 쓰고 rename으로 교체해 쓰는 도중 종료돼도 기존 파일이 깨지지 않고, 같은 내용을 .bak에도 보관해
+// 본 파일이 손상되면 백업으로 복구. 키(tokenKeyFile 또는 SMARTTHINGS_AC_TOKEN_KEY)가 있으면 암호화해 저장
+class TokenStore {
+  /**
+   * @param {object} log
+   * @param {string} filePath 토큰 파일 경로
+   * @param {object} [opts]
+   * @param {string} [opts.keyFile] 암호화 키(암호문)가 든 파일. 없으면 환경 변수 사용
+   */
+  constructor(log, filePath, { keyFile } = {}) {
+    this.log = log;
+    this.filePath = filePath;
+    this.backupPath = `${filePath}.bak`;
+    this.keyFile = keyFile || null;
+    this.secret = undefined; // 처음 필요할 때 한 번 읽음 (null이면 암호화 안 함)
+    this.saving = null;
+  }
+
+  /**
+   * 저장된 토큰을 읽음. 본 파일이 없거나 손상되면 백업으로 복구하고, 둘 다 쓸 수 없으면 null.
+   * rewrite가 true면 다시 저장해야 함 (백업에서 복구, 평문 파일 암호화, 백업 없음)
+   * @returns {Promise<{ tokens: object, mtimeMs: number, rewrite: boolean } | null>}
+   */
+  async load() {
+    const secret = await this._secret();
+    const primary = await this._read(this.filePath, secret);
+    if (primary.tokens) {
+      const rewrite = (!!secret && !primary.encrypted) || !await exists(this.backupPath);
+      return { tokens: primary.tokens, mtimeMs: primary.mtimeMs, rewrite };
+    }
+    if (primary.error) this.log.warn(`토큰 파일을 읽지 못했습니다: ${primary.error.message}`);
+
+    const backup = await this._read(this.backupPath, secret);
+    if (backup.tokens) {
+      this.log.warn('마지막으로 정상 저장된 백업 토큰으로 복구합니다.');
+      return { tokens: backup.tokens, mtimeMs: backup.mtimeMs, rewrite: true };
+    }
+    if (backup.error) this.log.warn(`백업 토큰도 읽지 못했습니다: ${backup.error.message}`);
+    return null;
+  }
+
+  // 겹친 저장은 순서대로 처리해 나중에 요청한 토큰이 남도록 함
+  save(tokens) {
+    const run = async () => {
+      const secret = await this._secret();
+      const content = JSON.stringify(secret ? await this._encrypt(tokens, secret) : tokens, null, 2);
+      await this._writeAtomic(this.filePath, content);
+      await this._writeAtomic(this.backupPath, content);
+    };
+    this.saving = (this.saving || Promise.resolve()).catch(() => {}).then(run);
+    return this.saving;
+  }
+
+  async _secret() {
+    if (this.secret !== undefined) return this.secret;
+    if (this.keyFile) {
+      let value;
+      try {
+        value = (await fs.readFile(this.keyFile, 'utf8')).trim();
+      } catch (e) {
+        throw new Error(`토큰 암호화 키 파일을 읽을 수 없습니다: ${e.message}`);
+      }
+      if (!value) throw new Error(`토큰 암호화 키 파일이 비어 있습니다: ${this.keyFile}`);
+      this.secret = value;
+    } else {
+      this.secret = (process.env[KEY_ENV] || '').trim() || null;
+    }
+    return this.secret;
+  }
+
+  async _read(file, secret) {
+    let raw;
+    let stat;
+    try {
+      [raw, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+    } catch (e) {
+      return e.code === 'ENOENT' ? {} : { error: e };
+    }
+    try {
+      const data = JSON.parse(raw);
+      const encrypted = data?.cipher === CIPHER;
+      const tokens = encrypted ? await this._decrypt(data, secret) : data;
+      if (typeof tokens?.access_token !== 'string') throw new Error('토큰 형식이 올바르지 않습니다.');
+      return { tokens, encrypted, mtimeMs: stat.mtimeMs };
+    } catch (e) {
+      return { error: e };
+    }
+  }
+
+  async _encrypt(tokens, secret) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, await scrypt(secret, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+    return {
+      version: 1,
+      cipher: CIPHER,
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  async _decrypt(envelope, secret) {
+    if (!secret) throw new Error(`암호화된 토큰 파일이지만 키가 없습니다. (tokenKeyFile 또는 ${KEY_ENV})`);
+    try {
+      const key = await scrypt(secret, Buffer.from(envelope.salt, 'base64'), 32);
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch {
+      throw new Error('토큰을 복호화하지 못했습니다. 암호화 키가 바뀌지 않았는지 확인하세요.');
+    }
+  }
+
+  // 같은 폴더의 임시 파일에 쓰고 fsync 후 rename (같은 파일 시스템에서 원자적으로 교체)
+  async _writeAtomic(file, content) {
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    let handle = null;
+    try {
+      handle = await fs.open(tmp, 'wx', FILE_MODE);
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+      await handle.close();
+      handle = null;
+      await fs.rename(tmp, file);
+    } catch (e) {
+      if (handle) await handle.close().catch(() => {});
+      await fs.unlink(tmp).catch(() => {});
+      throw e;
+    }
+  }
+}
+
+TokenStore.KEY_ENV = KEY_ENV;
+
+module.exports = TokenStore;
@@ -0,0 +1,99 @@
+// lib/WebhookVerifier.js
+'use strict';
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+
+const KEY_HOST = 'https://key.smartthings.com';
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // Date 헤더 허용 오차 (재전송 방지)
+
+// SmartThings Webhook SmartApp 요청의 HTTP Signature(rsa-sha256) 검증.
+// 서명에 date와 digest가 포함되어야 하고, 본문 digest와 Date 시각까지 확인해 가로챈 서명의 재사용을 막음
+class WebhookVerifier {
+  /**
+   * @param {object} log
+   * @param {object} [opts]
+   * @param {number} [opts.maxClockSkewMs] Date 헤더 허용 오차
+   */
+  constructor(log, { maxClockSkewMs = MAX_CLOCK_SKEW } = {}) {
+    this.log = log;
+    this.maxClockSkewMs = maxClockSkewMs;
+    this.keys = new LRUCache({ max: 20, ttl: 60 * 60 * 1000 });
+  }
+
+  _parseSignatureHeader(header) {
+    if (typeof header !== 'string' || !header.startsWith('Signature ')) return null;
+    const params = {};
+    for (const m of header.slice('Signature '.length).matchAll(/(\w+)="([^"]*)"/g)) {
+      params[m[1]] = m[2];
+    }
+    return params.keyId && params.signature ? params : null;
+  }
+
+  async _getPublicKey(keyId) {
+    // keyId는 key.smartthings.com 아래 경로만 허용
+    if (!/^\/[\w\-/]+$/.test(keyId)) throw new Error(`허용되지 않는 keyId: ${keyId}`);
+
+    const cached = this.keys.get(keyId);
+    if (cached) return cached;
+
+    const res = await axios.get(`${KEY_HOST}${keyId}`, { timeout: 10000, responseType: 'text' });
+    this.keys.set(keyId, res.data);
+    return res.data;
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {Buffer} rawBody
+   * @returns {Promise<boolean>}
+   */
+  async verify(req, rawBody) {
+    const params = this._parseSignatureHeader(req.headers.authorization);
+    if (!params) {
+      this.log.warn('Webhook 요청에 서명(Authorization: Signature) 헤더가 없습니다.');
+      return false;
+    }
+    if (params.algorithm && params.algorithm.toLowerCase() !== 'rsa-sha256') {
+      this.log.warn(`지원하지 않는 Webhook 서명 알고리즘: ${params.algorithm}`);
+      return false;
+    }
+
+    // 서명 대상에 date와 digest가 없으면 본문이나 시각을 바꿔 재사용할 수 있음
+    const headerNames = (params.headers || 'date').toLowerCase().split(' ');
+    const missing = ['date', 'digest'].filter(name => !headerNames.includes(name));
+    if (missing.length > 0) {
+      this.log.warn(`Webhook 서명에 필요한 헤더가 빠져 있습니다: ${missing.join(', ')}`);
+      return false;
+    }
+
+    // 본문 무결성
+    const digest = req.headers.digest;
+    const expected = 'SHA-256=' + crypto.createHash('sha256').update(rawBody).digest('base64');
+    if (digest !== expected) {
+      this.log.warn(digest ? 'Webhook 본문 digest가 일치하지 않습니다.' : 'Webhook 요청에 Digest 헤더가 없습니다.');
+      return false;
+    }
+
+    const sentAt = Date.parse(req.headers.date || '');
+    if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > this.maxClockSkewMs) {
+      this.log.warn(`Webhook 요청 시각(Date: ${req.headers.date || '없음'})이 허용 범위를 벗어났습니다.`);
+      return false;
+    }
+
+    const signingString = headerNames.map((name) => {
+      if (name === '(request-target)') return `(request-target): ${req.method.toLowerCase()} ${req.url}`;
+      return `${name}: ${req.headers[name] ?? ''}`;
+    }).join('\n');
+
+    try {
+      const publicKey = await this._getPublicKey(params.keyId);
+      return crypto.createVerify('RSA-SHA256').update(signingString).verify(publicKey, params.signature, 'base64');
+    } catch (e) {
+      this.log.error('Webhook 서명 검증 중 오류:', e.message);
+      return false;
+    }
+  }
+}
+
+module.exports = WebhookVerifier;
@@ -0,0 +1,69 @@
+// test/ComfortController.test.js
+'use strict';
+
+const ComfortController = require('../lib/ComfortController');
+const { createLogger } = require('./support/homebridge');
+
+const { decide } = ComfortController;
+
+describe('ComfortController.decide', () => {
+  const setpoint = { strategy: 'setpoint', hysteresis: 0.5, step: 1, limits: { minValue: 18, maxValue: 30 } };
+  const windFree = { ...setpoint, strategy: 'windFree' };
+
+  test('허용 차이 안이면 아무것도 바꾸지 않는다', () => {
+    expect(decide(setpoint, { room: 24.4, target: 24, setpoint: 24 })).toBeNull();
+    expect(decide(windFree, { room: 24.4, target: 24, windFree: true })).toBeNull();
+  });
+
+  test('setpoint: 더우면 내리고 추우면 올리되 범위를 넘지 않는다', () => {
+    expect(decide(setpoint, { room: 26, target: 24, setpoint: 24 })).toEqual({ setpoint: 23 });
+    expect(decide(setpoint, { room: 22, target: 24, setpoint: 24 })).toEqual({ setpoint: 25 });
+    expect(decide(setpoint, { room: 26, target: 24, setpoint: 18 })).toBeNull();
+  });
+
+  test('windFree: 더우면 무풍을 끄고 충분히 시원하면 켠다', () => {
+    expect(decide(windFree, { room: 25, target: 24, windFree: true })).toEqual({ windFree: false });
+    expect(decide(windFree, { room: 25, target: 24, windFree: false })).toBeNull();
+    expect(decide(windFree, { room: 23, target: 24, windFree: false })).toEqual({ windFree: true });
+  });
+
+  test('방 온도를 모르면 판단하지 않는다', () => {
+    expect(decide(setpoint, { room: null, target: 24, setpoint: 24 })).toBeNull();
+  });
+});
+
+describe('ComfortController', () => {
+  test('조절한 뒤에는 최소 유지 시간 동안 다시 바꾸지 않는다', async () => {
+    const state = { room: 26, target: 24, setpoint: 24, windFree: false };
+    const setSetpoint = jest.fn(async (value) => { state.setpoint = value; });
+    const controller = new ComfortController({
+      log: createLogger(),
+      name: '거실 에어컨',
+      strategy: 'setpoint',
+      minHoldMs: 60 * 1000,
+      readState: async () => state,
+      setSetpoint,
+    });
+
+    await expect(controller.evaluate()).resolves.toEqual({ setpoint: 23 });
+    await expect(controller.evaluate()).resolves.toBeNull();
+    expect(setSetpoint).toHaveBeenCalledTimes(1);
+  });
+
+  test('제어하지 않을 상황이면 건너뛰고, 실패는 경고만 남긴다', async () => {
+    const log = createLogger();
+    const skipped = new ComfortController({ log, name: 'a', strategy: 'windFree', readState: async () => null });
+    await expect(skipped.evaluate()).resolves.toBeNull();
+
+    const failing = new ComfortController({
+      log,
+      name: '안방 에어컨',
+      strategy: 'windFree',
+      readState: async () => ({ room: 22, target: 24, windFree: false }),
+      setWindFree: async () => { throw new Error('네트워크 오류'); },
+    });
+    await expect(failing.evaluate()).resolves.toBeNull();
+    expect(log.messages).toContainEqual({ level: 'warn', message: '[안방 에어컨] 쾌적 제어 실패: 네트워크 오류' });
+    expect(failing.lastChangeAt).toBe(0);
+  });
+});
@@ -0,0 +1,70 @@
+// test/CommandQueue.test.js
+'use strict';
+
+const CommandQueue = require('../lib/CommandQueue');
+
+// 호출 순서를 기록하고, 테스트가 직접 끝낼 때까지 기다리는 send
+function createSender() {
+  const calls = [];
+  const send = jest.fn((deviceId, commands) => new Promise((resolve, reject) => {
+    calls.push({ deviceId, commands: commands.map(c => c.command), resolve, reject });
+  }));
+  return { calls, send };
+}
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('CommandQueue', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('짧은 시간 안의 명령을 묶고 같은 capability는 마지막 값만 보낸다', async () => {
+    jest.useFakeTimers();
+    const { calls, send } = createSender();
+    const queue = new CommandQueue({ delayMs: 100, maxDelayMs: 500, send });
+
+    const done = Promise.all([
+      queue.enqueue('ac-1', { capability: 'switch', command: 'on' }),
+      queue.enqueue('ac-1', { capability: 'thermostatCoolingSetpoint', command: 'set-23' }),
+      queue.enqueue('ac-1', { capability: 'thermostatCoolingSetpoint', command: 'set-22' }),
+    ]);
+    await jest.advanceTimersByTimeAsync(100);
+    expect(calls.map(c => c.commands)).toEqual([['on', 'set-22']]);
+
+    calls[0].resolve();
+    await done;
+  });
+
+  test('같은 장치의 다음 요청은 앞 요청이 끝난 뒤 보낸다', async () => {
+    const { calls, send } = createSender();
+    const queue = new CommandQueue({ delayMs: 0, send });
+
+    const power = queue.enqueue('ac-1', { capability: 'switch', command: 'on' });
+    const mode = queue.enqueue('ac-1', { capability: 'airConditionerMode', command: 'setAirConditionerMode' });
+    const other = queue.enqueue('ac-2', { capability: 'switch', command: 'off' });
+    await flushPromises();
+    expect(calls.map(c => `${c.deviceId}:${c.commands}`)).toEqual(['ac-1:on', 'ac-2:off']);
+
+    calls[0].reject(new Error('네트워크 오류'));
+    await expect(power).rejects.toThrow('네트워크 오류');
+    await flushPromises();
+    expect(calls.map(c => `${c.deviceId}:${c.commands}`)).toEqual(['ac-1:on', 'ac-2:off', 'ac-1:setAirConditionerMode']);
+
+    calls[1].resolve();
+    calls[2].resolve();
+    await Promise.all([mode, other]);
+    expect(queue.sending.size).toBe(0);
+  });
+
+  test('명령 배열은 대기 시간이 없어도 한 요청으로 보낸다', async () => {
+    const { calls, send } = createSender();
+    const queue = new CommandQueue({ delayMs: 0, send });
+
+    const done = queue.enqueue('ac-1', [{ capability: 'switch', command: 'on' }, { capability: 'airConditionerMode', command: 'cool' }]);
+    await flushPromises();
+    expect(calls.map(c => c.commands)).toEqual([['on', 'cool']]);
+    calls[0].resolve();
+    await done;
+  });
+});
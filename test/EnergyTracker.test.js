@@ -0,0 +1,60 @@
+// test/EnergyTracker.test.js
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EnergyTracker = require('../lib/EnergyTracker');
+const { createLogger } = require('./support/homebridge');
+
+describe('EnergyTracker', () => {
+  let dir;
+  let tracker;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2026, 6, 1, 9, 0) });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-ac-energy-'));
+    tracker = new EnergyTracker(createLogger(), dir);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('오늘 사용량은 날짜가 바뀌면 0부터, 누적 사용량은 계속 늘어난다', () => {
+    tracker.record('ac-1', 10000);
+    tracker.record('ac-1', 12500);
+    expect(tracker.today('ac-1')).toBe(2.5);
+
+    jest.setSystemTime(new Date(2026, 6, 2, 9, 0));
+    tracker.record('ac-1', 13000);
+    expect(tracker.today('ac-1')).toBe(0.5);
+    expect(tracker.total('ac-1')).toBe(3);
+    expect(tracker.data['ac-1'].days['2026-07-01']).toBe(2.5);
+  });
+
+  test('기기 누적값이 초기화돼도 누적 사용량은 줄지 않는다', () => {
+    tracker.record('ac-1', 5000);
+    tracker.record('ac-1', 6000);
+    tracker.record('ac-1', 200);
+    expect(tracker.total('ac-1')).toBe(1.2);
+    expect(tracker.summary('ac-1')).toEqual({ todayKWh: 0, totalKWh: 1.2 });
+    expect(tracker.summary('ac-2')).toBeNull();
+  });
+
+  test('종료 시 동기로 저장하고, 누적값이 없던 예전 파일은 기록으로 시작한다', async () => {
+    tracker.record('ac-1', 1000);
+    tracker.record('ac-1', 1500);
+    tracker.flushSync();
+    const loaded = new EnergyTracker(createLogger(), dir);
+    await loaded.load();
+    expect(loaded.total('ac-1')).toBe(0.5);
+
+    fs.writeFileSync(path.join(dir, 'smartthings_ac_energy.json'), JSON.stringify({
+      'ac-1': { date: '2026-07-01', startWh: 100, lastWh: 600, days: { '2026-06-29': 1, '2026-06-30': 2 } },
+    }));
+    await loaded.load();
+    expect(loaded.total('ac-1')).toBe(3.5);
+  });
+});
@@ -0,0 +1,45 @@
+// test/HealthTracker.test.js
+'use strict';
+
+const HealthTracker = require('../lib/HealthTracker');
+const { createLogger } = require('./support/homebridge');
+
+describe('HealthTracker', () => {
+  let log;
+  let health;
+  let changes;
+
+  beforeEach(() => {
+    log = createLogger();
+    health = new HealthTracker(log);
+    health.setName('ac-1', '거실 에어컨');
+    changes = [];
+    health.on('change', (...args) => changes.push(args));
+  });
+
+  test('상태가 바뀔 때만 한 번 기록하고 알린다', () => {
+    health.report('ac-1', 'degraded', 'HTTP 500');
+    health.report('ac-1', 'degraded', 'HTTP 502');
+    health.report('ac-1', 'online');
+
+    expect(changes).toEqual([['ac-1', 'degraded', 'online'], ['ac-1', 'online', 'degraded']]);
+    expect(log.messages.map(m => `${m.level} ${m.message}`)).toEqual([
+      'warn [거실 에어컨] 연결 상태: 일시적 오류(최근 값으로 응답) (HTTP 500)',
+      'info [거실 에어컨] 연결 상태: 일시적 오류(최근 값으로 응답) → 정상',
+    ]);
+  });
+
+  test('오프라인과 연결 불가만 응답 없음으로 본다', () => {
+    expect(health.isResponding('ac-1')).toBe(true);
+    health.report('ac-1', 'degraded');
+    expect(health.isResponding('ac-1')).toBe(true);
+
+    health.report('ac-1', 'offline', 'OFFLINE');
+    expect(health.isResponding('ac-1')).toBe(false);
+    expect(health.get('ac-1')).toMatchObject({ state: 'offline', detail: 'OFFLINE' });
+    expect(log.messages.at(-1)).toMatchObject({ level: 'error', message: expect.stringContaining("'응답 없음'") });
+
+    health.report('ac-1', 'unreachable');
+    expect(health.isResponding('ac-1')).toBe(false);
+  });
+});
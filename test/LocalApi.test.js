@@ -0,0 +1,112 @@
+// test/LocalApi.test.js
+'use strict';
+
+const http = require('http');
+const { once } = require('events');
+const LocalApi = require('../lib/LocalApi');
+const HealthTracker = require('../lib/HealthTracker');
+const { createLogger } = require('./support/homebridge');
+
+const TOKEN = 'local-api-token';
+
+// LocalApi가 쓰는 SmartThings 클라이언트 기능만 흉내
+function createClient(log) {
+  return {
+    health: new HealthTracker(log),
+    history: [{ at: '2026-07-01T00:00:00.000Z', type: 'command', deviceId: 'ac-1' }],
+    sent: [],
+    getCachedStatus: () => ({ main: { switch: { switch: { value: 'on' } } } }),
+    getRawStatus: async () => { throw new Error('HTTP 503'); },
+    sendCommand: async function (deviceId, commands) { this.sent.push({ deviceId, commands }); },
+    invalidateStatus: jest.fn(),
+    tokenStatus: () => ({ valid: true }),
+  };
+}
+
+describe('LocalApi', () => {
+  let log;
+  let client;
+  let onCommand;
+  let api;
+  let port;
+
+  beforeEach(async () => {
+    log = createLogger();
+    client = createClient(log);
+    onCommand = jest.fn();
+    api = new LocalApi({
+      log,
+      token: TOKEN,
+      port: 0,
+      host: '127.0.0.1',
+      getAccounts: () => [{ id: 'default', smartthings: client }],
+      getClient: () => client,
+      getDevices: () => [{ deviceId: 'ac-1', name: '거실 에어컨', account: 'default', energy: null }],
+      onCommand,
+    });
+    api.start();
+    await once(api.server, 'listening');
+    port = api.server.address().port;
+  });
+
+  afterEach(() => {
+    api.stop();
+  });
+
+  const request = (method, pathname, { token = TOKEN, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: pathname,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  test('토큰이 없거나 다르면 401로 거절한다', async () => {
+    await expect(request('GET', '/devices', { token: null })).resolves.toMatchObject({ status: 401 });
+    await expect(request('GET', '/devices', { token: 'wrong' })).resolves.toMatchObject({ status: 401 });
+  });
+
+  test('장치 목록에 연결 상태를 함께 보여주고, 모르는 경로와 장치는 404', async () => {
+    client.health.report('ac-1', 'offline', 'OFFLINE');
+    const { status, body } = await request('GET', '/devices');
+    expect(status).toBe(200);
+    expect(body).toEqual([expect.objectContaining({ deviceId: 'ac-1', account: 'default', health: expect.objectContaining({ state: 'offline' }) })]);
+
+    await expect(request('GET', '/nothing')).resolves.toMatchObject({ status: 404 });
+    await expect(request('GET', '/devices/ac-9/status')).resolves.toMatchObject({ status: 404 });
+  });
+
+  test('상태 조회가 실패하면 502, source=cached면 캐시만 돌려준다', async () => {
+    await expect(request('GET', '/devices/ac-1/status')).resolves.toMatchObject({ status: 502 });
+    const { status, body } = await request('GET', '/devices/ac-1/status?source=cached');
+    expect(status).toBe(200);
+    expect(body).toEqual({ deviceId: 'ac-1', cached: { main: { switch: { switch: { value: 'on' } } } } });
+  });
+
+  test('명령을 검증해 보내고 HomeKit 갱신을 요청한다', async () => {
+    const bad = await request('POST', '/devices/ac-1/commands', { body: JSON.stringify({ commands: [{ capability: 'switch' }] }) });
+    expect(bad.status).toBe(400);
+    await expect(request('POST', '/devices/ac-1/commands', { body: '{' })).resolves.toMatchObject({ status: 400 });
+    expect(client.sent).toHaveLength(0);
+
+    const { status, body } = await request('POST', '/devices/ac-1/commands', { body: JSON.stringify({ capability: 'switch', command: 'off' }) });
+    expect(status).toBe(200);
+    expect(body.commands).toEqual([{ component: 'main', capability: 'switch', command: 'off' }]);
+    expect(client.sent).toEqual([{ deviceId: 'ac-1', commands: body.commands }]);
+    expect(client.invalidateStatus).toHaveBeenCalledWith('ac-1');
+    expect(onCommand).toHaveBeenCalledWith('ac-1');
+  });
+
+  test('기록에 계정을 붙여 돌려준다', async () => {
+    const { body } = await request('GET', '/history?limit=1');
+    expect(body).toEqual([{ account: 'default', at: '2026-07-01T00:00:00.000Z', type: 'command', deviceId: 'ac-1' }]);
+  });
+});
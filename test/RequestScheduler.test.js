@@ -0,0 +1,80 @@
+// test/RequestScheduler.test.js
+'use strict';
+
+const RequestScheduler = require('../lib/RequestScheduler');
+const { createLogger } = require('./support/homebridge');
+
+const { PRIORITY } = RequestScheduler;
+const SECOND = 1000;
+
+describe('RequestScheduler', () => {
+  let log;
+  let sent;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    log = createLogger();
+    sent = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // 보내도 된다고 풀린 순서를 label로 기록
+  const acquire = (scheduler, label, opts = {}) => scheduler.acquire({ label, ...opts }).then(() => sent.push(label));
+
+  test('장치별 명령 한도를 넘으면 그 장치만 1분 창이 지날 때까지 기다린다', async () => {
+    const scheduler = new RequestScheduler({ log, perMinute: 100, deviceCommandsPerMinute: 2 });
+    acquire(scheduler, 'ac-1 #1', { deviceId: 'ac-1' });
+    acquire(scheduler, 'ac-1 #2', { deviceId: 'ac-1' });
+    acquire(scheduler, 'ac-1 #3', { deviceId: 'ac-1' });
+    acquire(scheduler, 'ac-2 #1', { deviceId: 'ac-2' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sent).toEqual(['ac-1 #1', 'ac-1 #2', 'ac-2 #1']);
+
+    await jest.advanceTimersByTimeAsync(60 * SECOND - 1);
+    expect(sent).toHaveLength(3);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sent).toEqual(['ac-1 #1', 'ac-1 #2', 'ac-2 #1', 'ac-1 #3']);
+  });
+
+  test('전체 한도에 걸린 동안 쌓인 요청은 명령부터 내보낸다', async () => {
+    const scheduler = new RequestScheduler({ log, perMinute: 1, deviceCommandsPerMinute: 10 });
+    acquire(scheduler, 'status 1');
+    acquire(scheduler, 'status 2');
+    acquire(scheduler, 'command', { priority: PRIORITY.COMMAND, deviceId: 'ac-1' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sent).toEqual(['status 1']);
+
+    await jest.advanceTimersByTimeAsync(60 * SECOND);
+    expect(sent).toEqual(['status 1', 'command']);
+    await jest.advanceTimersByTimeAsync(60 * SECOND);
+    expect(sent).toEqual(['status 1', 'command', 'status 2']);
+  });
+
+  test('서버가 남은 한도 0을 알리면 초기화 시각까지 보류한다', async () => {
+    const scheduler = new RequestScheduler({ log, perMinute: 100, deviceCommandsPerMinute: 10 });
+    scheduler.update({ 'x-ratelimit-limit': '250', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(15 * SECOND) });
+    acquire(scheduler, 'status');
+
+    await jest.advanceTimersByTimeAsync(15 * SECOND - 1);
+    expect(sent).toEqual([]);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sent).toEqual(['status']);
+    expect(scheduler.usage()).toContain('서버 남은 한도 0/250');
+    expect(log.messages.some(m => m.level === 'warn' && m.message.includes('15초 동안 요청을 보류'))).toBe(true);
+  });
+
+  test('Retry-After로 보류 중에 더 짧은 보류는 무시한다', async () => {
+    const scheduler = new RequestScheduler({ log, perMinute: 100, deviceCommandsPerMinute: 10 });
+    scheduler.pause(30 * SECOND);
+    scheduler.pause(5 * SECOND);
+    acquire(scheduler, 'status');
+
+    await jest.advanceTimersByTimeAsync(29 * SECOND);
+    expect(sent).toEqual([]);
+    await jest.advanceTimersByTimeAsync(SECOND);
+    expect(sent).toEqual(['status']);
+  });
+});
@@ -0,0 +1,249 @@
+// test/SmartThings.test.js
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SmartThings = require('../lib/SmartThings');
+const FakeSmartThings = require('./support/FakeSmartThings');
+const { createHomebridgeApi, createLogger } = require('./support/homebridge');
+
+const DEVICE_ID = 'ac-1';
+
+function createFake() {
+  return new FakeSmartThings({
+    devices: [{
+      deviceId: DEVICE_ID,
+      label: '거실 에어컨',
+      status: {
+        main: {
+          switch: { switch: { value: 'off' } },
+          airConditionerMode: { airConditionerMode: { value: 'cool' } },
+          thermostatCoolingSetpoint: { coolingSetpoint: { value: 24 } },
+        },
+      },
+    }],
+  });
+}
+
+describe('SmartThings', () => {
+  let fake;
+  let dir;
+  let st;
+
+  async function createClient(config = {}) {
+    fs.writeFileSync(path.join(dir, 'smartthings_ac_token.json'), JSON.stringify(fake.issueTokens()));
+    const api = createHomebridgeApi({ persistPath: dir });
+    st = new SmartThings(createLogger(), api, {
+      ...fake.config,
+      redirectUri: 'http://127.0.0.1:8999/callback',
+      commandDebounceMs: 0,
+      commandSettleSeconds: 0,
+      ...config,
+    });
+    await st.init();
+    return st;
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-ac-test-'));
+    fake = createFake();
+    await fake.start();
+  });
+
+  afterEach(async () => {
+    await fake.idle();
+    if (st) st.shutdown();
+    st = null;
+    await fake.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('설정 가능한 API/OAuth 주소', () => {
+    test('apiBaseUrl로 요청을 보낸다', async () => {
+      await createClient({ apiBaseUrl: `${fake.baseUrl}/v1/` });
+      expect(st.apiBaseUrl).toBe(`${fake.baseUrl}/v1`);
+      const devices = await st.getDevices();
+      expect(devices.map(d => d.deviceId)).toEqual([DEVICE_ID]);
+    });
+
+    test('authBaseUrl로 인증 URL을 만들고 토큰을 교환한다', async () => {
+      await createClient();
+      const session = st.createAuthSession();
+      expect(session.url.startsWith(`${fake.baseUrl}/oauth/authorize?`)).toBe(true);
+
+      await st.getInitialTokens(fake.authCode, null);
+      expect(st.tokens.access_token).toBe(fake.accessToken);
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, 'smartthings_ac_token.json'), 'utf8'));
+      expect(saved.access_token).toBe(fake.accessToken);
+    });
+  });
+
+  describe('토큰 파일', () => {
+    test('손상된 토큰 파일은 백업으로 복구하고 다시 저장한다', async () => {
+      const tokenPath = path.join(dir, 'smartthings_ac_token.json');
+      fs.writeFileSync(`${tokenPath}.bak`, JSON.stringify(fake.issueTokens()));
+      fs.writeFileSync(tokenPath, '');
+      st = new SmartThings(createLogger(), createHomebridgeApi({ persistPath: dir }), { ...fake.config, redirectUri: 'http://127.0.0.1:8999/callback' });
+
+      await expect(st.init()).resolves.toBe(true);
+      expect(JSON.parse(fs.readFileSync(tokenPath, 'utf8')).access_token).toBe(fake.accessToken);
+      await expect(st.getDevices()).resolves.toHaveLength(1);
+    });
+
+    test('persist: false면 다시 저장할 토큰이어도 파일을 쓰지 않고 원래 저장 시각을 알린다', async () => {
+      const tokenPath = path.join(dir, 'smartthings_ac_token.json');
+      const raw = JSON.stringify(fake.issueTokens());
+      fs.writeFileSync(tokenPath, raw);
+      const savedAt = new Date('2026-07-01T09:00:00Z');
+      fs.utimesSync(tokenPath, savedAt, savedAt);
+      st = new SmartThings(createLogger(), createHomebridgeApi({ persistPath: dir }), { ...fake.config, redirectUri: 'http://127.0.0.1:8999/callback' });
+
+      await expect(st.init({ persist: false })).resolves.toBe(true);
+      await st.tokenStore.saving;
+      expect(fs.readdirSync(dir)).toEqual(['smartthings_ac_token.json']);
+      expect(fs.readFileSync(tokenPath, 'utf8')).toBe(raw);
+      expect(st.tokensSavedAt).toBe(savedAt.getTime());
+    });
+  });
+
+  describe('토큰 갱신 (_setupInterceptors)', () => {
+    test('동시에 401을 받은 요청들은 한 번만 갱신하고 새 토큰으로 재시도한다', async () => {
+      await createClient();
+      fake.expireAccessToken();
+
+      const results = await Promise.all([
+        st.getDevices(),
+        st.getRawStatus(DEVICE_ID),
+        st.checkHealth(DEVICE_ID),
+      ]);
+
+      expect(results[0]).toHaveLength(1);
+      expect(results[1].components.main.switch.switch.value).toBe('off');
+      expect(fake.tokenRequests.filter(r => r.grantType === 'refresh_token')).toHaveLength(1);
+      expect(st.tokens.access_token).toBe(fake.accessToken);
+
+      const retried = fake.requests.filter(r => r.path.startsWith('/v1/') && r.authorization === `Bearer ${fake.accessToken}`);
+      expect(retried).toHaveLength(3);
+    });
+
+    test('다른 프로세스가 토큰을 먼저 갱신했으면 토큰 파일을 다시 읽어 이어서 사용한다', async () => {
+      await createClient();
+      const cli = new SmartThings(createLogger(), createHomebridgeApi({ persistPath: dir }), { ...fake.config, redirectUri: st.config.redirectUri });
+      await cli.init();
+      await cli.refreshToken(); // smartthings-ac token refresh
+      cli.shutdown();
+      const reauth = jest.fn();
+      st.on('reauthRequired', reauth);
+
+      await expect(st.getDevices()).resolves.toHaveLength(1);
+      expect(st.tokens.access_token).toBe(fake.accessToken);
+      expect(st.needsReauth).toBe(false);
+      expect(reauth).not.toHaveBeenCalled();
+    });
+
+    test('리프레시 토큰이 폐기되면 재인증을 한 번만 요청한다', async () => {
+      await createClient();
+      fake.expireAccessToken();
+      fake.revokeRefreshToken();
+      const reauth = jest.fn();
+      st.on('reauthRequired', reauth);
+
+      const results = await Promise.allSettled([st.getDevices(), st.getRawStatus(DEVICE_ID)]);
+
+      expect(results.every(r => r.status === 'rejected')).toBe(true);
+      expect(st.needsReauth).toBe(true);
+      expect(reauth).toHaveBeenCalledTimes(1);
+      await expect(st.getDevices()).rejects.toThrow('재인증');
+    });
+  });
+
+  describe('상태 조회 (getStatus)', () => {
+    test('동시에 들어온 조회는 요청 한 번으로 처리한다', async () => {
+      await createClient();
+      const statuses = await Promise.all([1, 2, 3].map(() => st.getStatus(DEVICE_ID)));
+
+      expect(new Set(statuses).size).toBe(1);
+      expect(statuses[0].main.switch.switch.value).toBe('off');
+      expect(fake.requests.filter(r => r.path === `/v1/devices/${DEVICE_ID}/status`)).toHaveLength(1);
+
+      await st.getStatus(DEVICE_ID);
+      expect(fake.requests.filter(r => r.path === `/v1/devices/${DEVICE_ID}/status`)).toHaveLength(1);
+    });
+
+    test('캐시가 만료된 뒤 받은 이벤트도 마지막 상태에 합쳐 반영한다', async () => {
+      await createClient();
+      await st.getStatus(DEVICE_ID);
+      st.invalidateStatus(DEVICE_ID); // 웹훅 모드에서 조용한 시간이 지나 캐시가 만료된 상황
+
+      st.applyDeviceEvent({ deviceId: DEVICE_ID, componentId: 'main', capability: 'switch', attribute: 'switch', value: 'on' });
+      await expect(st.getPower(DEVICE_ID)).resolves.toBe(true);
+      expect(fake.requests.filter(r => r.path === `/v1/devices/${DEVICE_ID}/status`)).toHaveLength(1);
+    });
+
+    test('refreshStatus는 캐시를 건너뛴다', async () => {
+      await createClient();
+      await st.getStatus(DEVICE_ID);
+      fake.setStatus(DEVICE_ID, 'main', 'switch', 'switch', 'on');
+
+      const status = await st.refreshStatus(DEVICE_ID);
+      expect(status.main.switch.switch.value).toBe('on');
+    });
+
+    test('5xx 오류는 재시도한다', async () => {
+      await createClient();
+      fake.inject({ method: 'GET', path: `/v1/devices/${DEVICE_ID}/status`, status: 503 });
+
+      const status = await st.getStatus(DEVICE_ID);
+      expect(status.main.airConditionerMode.airConditionerMode.value).toBe('cool');
+      expect(fake.requests.filter(r => r.path === `/v1/devices/${DEVICE_ID}/status`)).toHaveLength(2);
+    });
+
+    test('429는 Retry-After만큼 기다렸다가 재시도한다', async () => {
+      await createClient();
+      fake.inject({ method: 'GET', path: '/v1/devices', status: 429, headers: { 'Retry-After': '1' } });
+
+      const started = Date.now();
+      await st.getDevices();
+      expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+      expect(st.scheduler.pausedUntil).toBeGreaterThan(started);
+    });
+
+    test('조회 실패는 STATUS_FAILED 오류와 장치 상태로 알린다', async () => {
+      await createClient({ staleStatusSeconds: 0 });
+      fake.inject({ method: 'GET', path: `/v1/devices/${DEVICE_ID}/status`, status: 404 });
+
+      await expect(st.getStatus(DEVICE_ID)).rejects.toMatchObject({ code: 'STATUS_FAILED', status: 404 });
+      expect(st.health.get(DEVICE_ID).state).toBe('unreachable');
+      expect(st.history.at(-1)).toMatchObject({ type: 'error', deviceId: DEVICE_ID, action: 'getStatus' });
+    });
+  });
+
+  describe('명령', () => {
+    test('명령을 보내고 기록한다', async () => {
+      await createClient();
+      await st.setPower(DEVICE_ID, true);
+
+      expect(fake.commands).toEqual([{
+        deviceId: DEVICE_ID,
+        commands: [{ component: 'main', capability: 'switch', command: 'on' }],
+      }]);
+      expect(fake.getValue(DEVICE_ID, 'main', 'switch', 'switch')).toBe('on');
+      expect(st.history.at(-1)).toMatchObject({ type: 'command', deviceId: DEVICE_ID });
+    });
+
+    test('여러 기능 명령은 한 요청으로 보내고 낙관적 값으로 반영한다', async () => {
+      await createClient({ commandSettleSeconds: 30 });
+      await st.sendFeatureCommands(DEVICE_ID, [
+        { name: 'power', fallbackCommand: 'on' },
+        { name: 'mode', args: ['dry'] },
+        { name: 'coolingSetpoint', args: [26] },
+      ]);
+
+      expect(fake.commands).toHaveLength(1);
+      expect(fake.commands[0].commands.map(c => c.command)).toEqual(['on', 'setAirConditionerMode', 'setCoolingSetpoint']);
+      await expect(st.getPower(DEVICE_ID)).resolves.toBe(true);
+      await expect(st.getMode(DEVICE_ID)).resolves.toBe('dry');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// test/StatusPoller.test.js
+'use strict';
+
+const StatusPoller = require('../lib/StatusPoller');
+const { createLogger } = require('./support/homebridge');
+
+const SECOND = 1000;
+const status = power => ({ main: { switch: { switch: { value: power, timestamp: new Date().toISOString() } } } });
+const failure = (status, retryAfter) => Object.assign(new Error(`HTTP ${status}`), { status, retryAfter });
+
+describe('StatusPoller', () => {
+  let log;
+  let smartthings;
+  let onChange;
+  let poller;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    log = createLogger();
+    smartthings = { refreshStatus: jest.fn(async () => status('on')) };
+    onChange = jest.fn();
+  });
+
+  afterEach(() => {
+    poller.stop();
+    jest.useRealTimers();
+  });
+
+  const start = (deviceIds = ['ac-1']) => {
+    poller = new StatusPoller({ log, smartthings, intervalSec: 30, getDeviceIds: () => deviceIds, onChange });
+    poller.start();
+  };
+
+  test('값이 바뀐 장치만 알리고 timestamp 변화는 무시한다', async () => {
+    start(['ac-1', 'ac-2']);
+    await jest.advanceTimersByTimeAsync(30 * SECOND);
+    expect(onChange).not.toHaveBeenCalled();
+
+    smartthings.refreshStatus.mockImplementation(async id => status(id === 'ac-2' ? 'off' : 'on'));
+    await jest.advanceTimersByTimeAsync(30 * SECOND);
+    expect(onChange.mock.calls).toEqual([['ac-2']]);
+  });
+
+  test('실패하면 주기를 두 배씩 늘리고, 성공하면 원래 주기로 돌아온다', async () => {
+    start();
+    smartthings.refreshStatus.mockRejectedValue(failure(500));
+    await jest.advanceTimersByTimeAsync(30 * SECOND);
+    expect(poller.delayMs).toBe(60 * SECOND);
+    await jest.advanceTimersByTimeAsync(60 * SECOND);
+    expect(poller.delayMs).toBe(120 * SECOND);
+
+    smartthings.refreshStatus.mockResolvedValue(status('on'));
+    await jest.advanceTimersByTimeAsync(120 * SECOND - 1);
+    expect(smartthings.refreshStatus).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(smartthings.refreshStatus).toHaveBeenCalledTimes(3);
+    expect(poller.delayMs).toBe(30 * SECOND);
+    expect(log.messages.some(m => m.message.includes('정상화'))).toBe(true);
+  });
+
+  test('요청 한도를 넘으면 남은 장치는 건너뛰고 Retry-After만큼 기다린다', async () => {
+    start(['ac-1', 'ac-2']);
+    smartthings.refreshStatus.mockRejectedValue(failure(429, 300));
+    await jest.advanceTimersByTimeAsync(30 * SECOND);
+
+    expect(smartthings.refreshStatus.mock.calls.map(([id]) => id)).toEqual(['ac-1']);
+    expect(poller.delayMs).toBe(300 * SECOND);
+    expect(log.messages.some(m => m.level === 'warn' && m.message.includes('요청 한도 초과'))).toBe(true);
+  });
+
+  test('실패가 이어져도 10분보다 오래 기다리지 않는다', async () => {
+    start();
+    smartthings.refreshStatus.mockRejectedValue(failure(503));
+    for (let delay = 30 * SECOND; delay < 10 * 60 * SECOND; delay = Math.min(delay * 2, 10 * 60 * SECOND)) {
+      await jest.advanceTimersByTimeAsync(delay);
+    }
+    await jest.advanceTimersByTimeAsync(10 * 60 * SECOND);
+    expect(poller.delayMs).toBe(10 * 60 * SECOND);
+  });
+});
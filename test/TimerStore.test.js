@@ -0,0 +1,130 @@
+// test/TimerStore.test.js
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TimerStore = require('../lib/TimerStore');
+const { createLogger } = require('./support/homebridge');
+
+const MINUTE = 60 * 1000;
+
+describe('TimerStore', () => {
+  let dir;
+  let log;
+  let stores;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2026, 6, 1, 9, 0) });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-ac-timers-'));
+    log = createLogger();
+    stores = [];
+  });
+
+  // 만료 처리 뒤 저장이 끝나기 전에 폴더를 지우지 않도록 기다림
+  afterEach(async () => {
+    jest.useRealTimers();
+    await Promise.all(stores.map(store => store.saving));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const create = () => {
+    const store = new TimerStore(log, dir);
+    stores.push(store);
+    return store;
+  };
+
+  // 저장된 파일로 새로 만든 저장소 (Homebridge 재시작)
+  const restart = async (store) => {
+    store.shutdown();
+    await store.saving;
+    const next = create();
+    await next.load();
+    return next;
+  };
+
+  test('재시작 후 남은 시간만큼 다시 걸어 마감 시각에 실행한다', async () => {
+    const store = create();
+    await store.load();
+    store.start(jest.fn());
+    store.schedule('ac-1:offTimer', Date.now() + 30 * MINUTE, { deviceId: 'ac-1', kind: 'offTimer' });
+
+    jest.advanceTimersByTime(10 * MINUTE);
+    const restarted = await restart(store);
+    const onExpire = jest.fn();
+    restarted.start(onExpire);
+    expect(restarted.remaining('ac-1:offTimer')).toBe(20 * MINUTE);
+
+    await jest.advanceTimersByTimeAsync(20 * MINUTE - 1);
+    expect(onExpire).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    expect(onExpire).toHaveBeenCalledWith('ac-1:offTimer', expect.objectContaining({ deviceId: 'ac-1', kind: 'offTimer' }));
+    expect(restarted.get('ac-1:offTimer')).toBeNull();
+
+    await restarted.saving;
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'smartthings_ac_timers.json'), 'utf8'))).toEqual({});
+  });
+
+  test('재시작 중에 지난 예약은 바로 한 번만 실행한다', async () => {
+    const store = create();
+    store.start(jest.fn());
+    store.schedule('ac-1:offTimer', Date.now() + 5 * MINUTE, { deviceId: 'ac-1' });
+    const restarted = await restart(store);
+
+    jest.setSystemTime(Date.now() + 60 * MINUTE);
+    const onExpire = jest.fn();
+    restarted.start(onExpire);
+    restarted.start(onExpire);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(onExpire).toHaveBeenCalledTimes(1);
+    expect(restarted.get('ac-1:offTimer')).toBeNull();
+  });
+
+  test('filter를 통과하지 못한 예약은 다음 start 때 건다', async () => {
+    const store = create();
+    store.start(jest.fn());
+    store.schedule('ac-1:offTimer', Date.now() - 1000, { deviceId: 'ac-1' });
+    store.schedule('ac-2:offTimer', Date.now() - 1000, { deviceId: 'ac-2' });
+    const restarted = await restart(store);
+
+    const onExpire = jest.fn();
+    restarted.start(onExpire, entry => entry.deviceId === 'ac-1');
+    await jest.advanceTimersByTimeAsync(0);
+    expect(onExpire.mock.calls.map(([key]) => key)).toEqual(['ac-1:offTimer']);
+    expect(restarted.get('ac-2:offTimer')).not.toBeNull();
+
+    restarted.start(onExpire, entry => entry.deviceId === 'ac-2');
+    await jest.advanceTimersByTimeAsync(0);
+    expect(onExpire.mock.calls.map(([key]) => key)).toEqual(['ac-1:offTimer', 'ac-2:offTimer']);
+  });
+
+  test('취소한 예약은 실행하지 않고, 실행 중 오류는 로그만 남긴다', async () => {
+    const store = create();
+    const onExpire = jest.fn(async (key) => {
+      if (key === 'ac-2:offTimer') throw new Error('boom');
+    });
+    store.start(onExpire);
+    store.schedule('ac-1:offTimer', Date.now() + MINUTE, { deviceId: 'ac-1' });
+    store.schedule('ac-2:offTimer', Date.now() + MINUTE, { deviceId: 'ac-2' });
+    expect(store.cancel('ac-1:offTimer')).toBe(true);
+    expect(store.cancel('ac-1:offTimer')).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(MINUTE);
+    expect(onExpire.mock.calls.map(([key]) => key)).toEqual(['ac-2:offTimer']);
+    expect(log.messages.some(m => m.level === 'error' && m.message.includes('ac-2:offTimer'))).toBe(true);
+  });
+
+  test('최대 타이머 지연보다 먼 예약도 마감 시각에 실행한다', async () => {
+    const store = create();
+    const onExpire = jest.fn();
+    store.start(onExpire);
+    const delay = 30 * 24 * 60 * MINUTE;
+    store.schedule('ac-1:offTimer', Date.now() + delay, { deviceId: 'ac-1' });
+
+    await jest.advanceTimersByTimeAsync(2 ** 31 - 1);
+    expect(onExpire).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(delay - (2 ** 31 - 1));
+    expect(onExpire).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,83 @@
+// test/TokenStore.test.js
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenStore = require('../lib/TokenStore');
+const { createLogger } = require('./support/homebridge');
+
+const TOKENS = { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 86400 };
+
+describe('TokenStore', () => {
+  let dir;
+  let file;
+  let log;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-ac-token-'));
+    file = path.join(dir, 'smartthings_ac_token.json');
+    log = createLogger();
+    delete process.env[TokenStore.KEY_ENV];
+  });
+
+  afterEach(() => {
+    delete process.env[TokenStore.KEY_ENV];
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const read = f => JSON.parse(fs.readFileSync(f, 'utf8'));
+
+  test('임시 파일을 남기지 않고 소유자만 읽을 수 있게 저장하며 백업도 만든다', async () => {
+    const store = new TokenStore(log, file);
+    await Promise.all([store.save(TOKENS), store.save({ ...TOKENS, access_token: 'access-2' })]);
+
+    expect(read(file).access_token).toBe('access-2');
+    expect(read(`${file}.bak`).access_token).toBe('access-2');
+    expect(fs.readdirSync(dir).sort()).toEqual(['smartthings_ac_token.json', 'smartthings_ac_token.json.bak']);
+    if (process.platform !== 'win32') expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+  });
+
+  test('키가 있으면 암호화해 저장하고 같은 키로만 읽는다', async () => {
+    const keyFile = path.join(dir, 'token.key');
+    fs.writeFileSync(keyFile, 'correct horse battery staple\n');
+    await new TokenStore(log, file, { keyFile }).save(TOKENS);
+
+    const raw = fs.readFileSync(file, 'utf8');
+    expect(raw).not.toContain('refresh-1');
+    expect(JSON.parse(raw).cipher).toBe('aes-256-gcm');
+    await expect(new TokenStore(log, file, { keyFile }).load()).resolves.toMatchObject({ tokens: TOKENS, rewrite: false });
+
+    process.env[TokenStore.KEY_ENV] = 'wrong key';
+    await expect(new TokenStore(log, file).load()).resolves.toBeNull();
+    expect(log.messages.some(m => m.message.includes('복호화하지 못했습니다'))).toBe(true);
+  });
+
+  test('평문 토큰 파일은 키가 생기면 다시 저장하도록 알린다', async () => {
+    fs.writeFileSync(file, JSON.stringify(TOKENS));
+    fs.writeFileSync(`${file}.bak`, JSON.stringify(TOKENS));
+    expect((await new TokenStore(log, file).load()).rewrite).toBe(false);
+
+    process.env[TokenStore.KEY_ENV] = 'secret';
+    const store = new TokenStore(log, file);
+    const loaded = await store.load();
+    expect(loaded).toMatchObject({ tokens: TOKENS, rewrite: true });
+    await store.save(loaded.tokens);
+    expect(read(file).cipher).toBe('aes-256-gcm');
+  });
+
+  test('본 파일이 손상되면 백업으로 복구한다', async () => {
+    const store = new TokenStore(log, file);
+    await store.save(TOKENS);
+    fs.writeFileSync(file, '{"access_token": "acc');
+
+    const loaded = await new TokenStore(log, file).load();
+    expect(loaded).toMatchObject({ tokens: TOKENS, rewrite: true });
+    expect(log.messages.some(m => m.level === 'warn' && m.message.includes('백업 토큰으로 복구'))).toBe(true);
+  });
+
+  test('키 파일을 읽을 수 없으면 오류를 낸다', async () => {
+    const store = new TokenStore(log, file, { keyFile: path.join(dir, 'missing.key') });
+    await expect(store.load()).rejects.toThrow('키 파일을 읽을 수 없습니다');
+  });
+});
@@ -0,0 +1,69 @@
+// test/WebhookVerifier.test.js
+'use strict';
+
+const crypto = require('crypto');
+const WebhookVerifier = require('../lib/WebhookVerifier');
+const { createLogger } = require('./support/homebridge');
+
+const KEY_ID = '/SmartThings/test-key';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// SmartThings가 보내는 것과 같은 형식으로 서명한 요청
+function signedRequest(body, { date = new Date().toUTCString(), headers = '(request-target) digest date', digest } = {}) {
+  const req = {
+    method: 'POST',
+    url: '/webhook',
+    headers: {
+      date,
+      digest: digest ?? `SHA-256=${crypto.createHash('sha256').update(body).digest('base64')}`,
+    },
+  };
+  const signingString = headers.split(' ').map(name => (name === '(request-target)'
+    ? `(request-target): post ${req.url}`
+    : `${name}: ${req.headers[name]}`)).join('\n');
+  const signature = crypto.createSign('RSA-SHA256').update(signingString).sign(privateKey, 'base64');
+  req.headers.authorization = `Signature keyId="${KEY_ID}",signature="${signature}",headers="${headers}",algorithm="rsa-sha256"`;
+  return req;
+}
+
+describe('WebhookVerifier', () => {
+  let log;
+  let verifier;
+  const body = Buffer.from(JSON.stringify({ lifecycle: 'EVENT' }));
+
+  beforeEach(() => {
+    log = createLogger();
+    verifier = new WebhookVerifier(log);
+    verifier.keys.set(KEY_ID, publicKey.export({ type: 'spki', format: 'pem' }));
+  });
+
+  test('서명, 본문 digest, 시각이 맞으면 통과한다', async () => {
+    await expect(verifier.verify(signedRequest(body), body)).resolves.toBe(true);
+  });
+
+  test('같은 서명에 다른 본문을 붙이면 거부한다', async () => {
+    const req = signedRequest(body);
+    await expect(verifier.verify(req, Buffer.from('{"lifecycle":"UNINSTALL"}'))).resolves.toBe(false);
+  });
+
+  test('Digest 헤더가 없거나 서명 대상에 digest가 없으면 거부한다', async () => {
+    const noDigest = signedRequest(body);
+    delete noDigest.headers.digest;
+    await expect(verifier.verify(noDigest, body)).resolves.toBe(false);
+
+    await expect(verifier.verify(signedRequest(body, { headers: '(request-target) date' }), body)).resolves.toBe(false);
+    expect(log.messages.some(m => m.message.includes('필요한 헤더가 빠져 있습니다: digest'))).toBe(true);
+  });
+
+  test('Date가 허용 범위를 벗어나면 거부한다', async () => {
+    const old = new Date(Date.now() - 10 * 60 * 1000).toUTCString();
+    await expect(verifier.verify(signedRequest(body, { date: old }), body)).resolves.toBe(false);
+    expect(log.messages.some(m => m.message.includes('허용 범위를 벗어났습니다'))).toBe(true);
+  });
+
+  test('서명이 맞지 않으면 거부한다', async () => {
+    const req = signedRequest(body);
+    req.headers.date = new Date(Date.now() + 1000).toUTCString();
+    await expect(verifier.verify(req, body)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,516 @@
+// test/platform.test.js
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const plugin = require('../index');
+const SmartThings = require('../lib/SmartThings');
+const FakeSmartThings = require('./support/FakeSmartThings');
+const { hap, createHomebridgeApi, createLogger } = require('./support/homebridge');
+
+const { Service, Characteristic } = hap;
+
+const AC_CAPABILITIES = [{ id: 'main', capabilities: [{ id: 'switch' }, { id: 'airConditionerMode' }] }];
+const acStatus = () => ({
+  main: {
+    switch: { switch: { value: 'on' } },
+    airConditionerMode: { airConditionerMode: { value: 'cool' }, supportedAcModes: { value: ['cool', 'dry', 'wind', 'auto'] } },
+    temperatureMeasurement: { temperature: { value: 27 } },
+    thermostatCoolingSetpoint: { coolingSetpoint: { value: 24 } },
+    airConditionerFanMode: { fanMode: { value: 'auto' }, supportedAcFanModes: { value: ['auto', 'low', 'medium', 'high'] } },
+  },
+});
+
+const request = (port, pathname) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port, path: pathname }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  }).on('error', reject);
+});
+
+const waitFor = async (check, timeout = 2000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('waitFor 시간 초과');
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+describe('resolveTempProps', () => {
+  const { resolveTempProps } = plugin;
+
+  test('설정이 없으면 기본값 18~30℃, 1℃ 단위', () => {
+    expect(resolveTempProps()).toEqual({ minValue: 18, maxValue: 30, minStep: 1 });
+  });
+
+  test('장치 설정이 플랫폼 설정보다 우선한다', () => {
+    const props = resolveTempProps({ temperatureMin: 16, temperatureMax: 28 }, { temperatureMin: 20 });
+    expect(props).toEqual({ minValue: 20, maxValue: 28, minStep: 1 });
+  });
+
+  test('숫자가 아닌 값은 무시한다', () => {
+    expect(resolveTempProps({ temperatureMin: '16' }, { temperatureMax: NaN })).toEqual({ minValue: 18, maxValue: 30, minStep: 1 });
+  });
+
+  test('최소값이 최대값 이상이면 한 단계 아래로 보정한다', () => {
+    expect(resolveTempProps({}, { temperatureMin: 30, temperatureMax: 30, temperatureStep: 0.5 }))
+      .toEqual({ minValue: 29.5, maxValue: 30, minStep: 0.5 });
+    expect(resolveTempProps({}, { temperatureMin: 28, temperatureMax: 20 }))
+      .toEqual({ minValue: 19, maxValue: 20, minStep: 1 });
+  });
+
+  test('0.1 미만의 단위는 기본 단위로 바꾼다', () => {
+    expect(resolveTempProps({}, { temperatureStep: 0.05 }).minStep).toBe(1);
+    expect(resolveTempProps({}, { temperatureStep: 0 }).minStep).toBe(1);
+    expect(resolveTempProps({}, { temperatureStep: 0.1 }).minStep).toBe(0.1);
+  });
+});
+
+describe('resolveModeMap', () => {
+  const { resolveModeMap } = plugin;
+
+  test('설정이 없으면 냉방은 제습, 난방/자동은 숨김', () => {
+    expect(resolveModeMap()).toEqual({ cool: 'dry', heat: 'none', auto: 'none' });
+  });
+
+  test('대소문자를 가리지 않고 SmartThings 표기로 맞춘다', () => {
+    expect(resolveModeMap({ coolModeCommand: 'COOL', heatModeCommand: 'Heat', autoModeCommand: 'aicomfort' }))
+      .toEqual({ cool: 'cool', heat: 'heat', auto: 'aIComfort' });
+  });
+
+  test('지원하지 않는 값은 경고 후 기본값을 쓴다', () => {
+    const log = createLogger();
+    expect(resolveModeMap({ deviceLabel: '거실 에어컨', coolModeCommand: 'cold', autoModeCommand: ' ' }, log))
+      .toEqual({ cool: 'dry', heat: 'none', auto: 'none' });
+    expect(log.messages).toEqual([
+      expect.objectContaining({ level: 'warn', message: expect.stringContaining("[거실 에어컨] coolModeCommand 값 'cold'") }),
+    ]);
+  });
+});
+
+describe('SmartThingsACPlatform', () => {
+  let fake;
+  let dir;
+  let api;
+  let log;
+  let platform;
+
+  async function launch(config, devices) {
+    fake = new FakeSmartThings({ devices });
+    await fake.start();
+    fs.writeFileSync(path.join(dir, 'smartthings_ac_token.json'), JSON.stringify(fake.issueTokens()));
+
+    api = createHomebridgeApi({ persistPath: dir });
+    plugin(api);
+    log = createLogger();
+    platform = new api.Platform(log, {
+      ...fake.config,
+      redirectUri: 'http://127.0.0.1:8999/callback',
+      commandDebounceMs: 0,
+      commandSettleSeconds: 0,
+      ...config,
+    }, api);
+    api.emit('didFinishLaunching');
+    // 장치 검색이 끝나면 예약 작업을 시작함
+    await waitFor(() => platform.timers.onExpire !== null);
+  }
+
+  const accessory = name => api.registered.find(a => a.displayName === name);
+  const characteristic = (name, ServiceType, Type) => accessory(name).getService(ServiceType).getCharacteristic(Type);
+  const warnings = () => log.messages.filter(m => m.level === 'warn').map(m => m.message);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-ac-platform-'));
+  });
+
+  afterEach(async () => {
+    await fake?.idle();
+    api?.emit('shutdown');
+    await fake?.stop();
+    // 종료 직후 예약/토큰 저장이 늦게 끝날 수 있어 재시도
+    await fs.promises.rm(dir, { recursive: true, force: true, maxRetries: 5 });
+    fake = api = platform = null;
+  });
+
+  describe('_syncDevices', () => {
+    const stDevices = [
+      { deviceId: 'ac-1', label: '거실 에어컨', components: AC_CAPABILITIES, status: acStatus() },
+      { deviceId: 'ac-2', label: '안방 에어컨', components: AC_CAPABILITIES, status: acStatus() },
+      { deviceId: 'tv-1', label: '거실 TV', components: [{ id: 'main', capabilities: [{ id: 'switch' }] }] },
+    ];
+
+    test('레이블은 NFC로 정규화해 비교한다', async () => {
+      await launch({ devices: [{ deviceLabel: ' 거실 에어컨'.normalize('NFD') }] }, stDevices);
+      expect(api.registered.map(a => a.displayName)).toEqual(['거실 에어컨']);
+      expect([...platform.deviceIds]).toEqual(['ac-1']);
+    });
+
+    test('deviceId가 있으면 레이블이 바뀌어도 deviceId로 연동한다', async () => {
+      await launch({ devices: [{ deviceLabel: '예전 이름', deviceId: 'ac-2' }] }, stDevices);
+      expect([...platform.deviceIds]).toEqual(['ac-2']);
+      expect(log.messages.some(m => m.message.includes("'안방 에어컨'(으)로 바뀌었습니다"))).toBe(true);
+    });
+
+    test('레이블만 적은 장치의 이름을 SmartThings에서 바꿔도 캐시된 액세서리로 계속 연동한다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨', exposeOffTimer: true }] }, stDevices);
+      const uuids = api.registered.map(a => a.UUID).sort();
+
+      fake.devices.get('ac-1').label = '거실';
+      await platform.discoverDevices(platform.accounts[0]);
+
+      expect([...platform.deviceIds]).toEqual(['ac-1']);
+      expect(api.registered.map(a => a.UUID).sort()).toEqual(uuids);
+      expect(accessory('거실').context.device.label).toBe('거실');
+      expect(log.messages.some(m => m.message.includes("'거실'(으)로 바뀌었습니다"))).toBe(true);
+      expect(log.messages.some(m => m.message.includes('사용하지 않는 액세서리 제거'))).toBe(false);
+    });
+
+    test('못 찾은 장치와 같은 장치를 가리키는 중복 설정은 경고 후 건너뛴다', async () => {
+      await launch({
+        devices: [
+          { deviceLabel: '거실 에어컨' },
+          { deviceId: 'ac-1' },
+          { deviceLabel: '없는 에어컨' },
+          { model: '이름 없음' },
+        ],
+      }, stDevices);
+
+      expect([...platform.deviceIds]).toEqual(['ac-1']);
+      expect(warnings()).toEqual(expect.arrayContaining([
+        expect.stringContaining('이름 없는 장치 1개'),
+        expect.stringContaining("'ac-1' 설정이 이미 연동된 장치"),
+        expect.stringContaining("'없는 에어컨'에 해당하는 장치"),
+      ]));
+    });
+
+    test('autoDiscover는 airConditionerMode가 있는 장치만 추가하고 기본 설정을 적용한다', async () => {
+      await launch({ autoDiscover: true, deviceDefaults: { model: 'AR-DEFAULT' }, devices: [] }, stDevices);
+
+      expect([...platform.deviceIds].sort()).toEqual(['ac-1', 'ac-2']);
+      expect(accessory('안방 에어컨').context.configDevice).toEqual({ model: 'AR-DEFAULT' });
+    });
+  });
+
+  describe('여러 계정', () => {
+    const AUTH_PORT = 18999;
+    let other;
+
+    // 기본 계정(fake)과 추가 계정(other)이 각자의 가짜 서버를 사용
+    async function launchAccounts({ otherHasToken = true, otherDevices } = {}) {
+      other = new FakeSmartThings({
+        clientId: 'other-client',
+        clientSecret: 'other-secret',
+        authCode: 'other-code',
+        devices: otherDevices || [{ deviceId: 'ac-9', label: '부모님 에어컨', components: AC_CAPABILITIES, status: acStatus() }],
+      });
+      await other.start();
+      const { tokenFileName } = SmartThings;
+      if (otherHasToken) fs.writeFileSync(path.join(dir, tokenFileName('부모님 댁')), JSON.stringify(other.issueTokens()));
+
+      await launch({
+        authServerPort: AUTH_PORT,
+        authServerHost: '127.0.0.1',
+        redirectUri: `http://127.0.0.1:${AUTH_PORT}/callback`,
+        devices: [{ deviceLabel: '거실 에어컨' }],
+        accounts: [{
+          name: '부모님 댁',
+          ...other.config,
+          redirectUri: `http://127.0.0.1:${AUTH_PORT}/callback`,
+          devices: [{ deviceLabel: '부모님 에어컨', exposeOffTimer: true }],
+        }],
+      }, [{ deviceId: 'ac-1', label: '거실 에어컨', components: AC_CAPABILITIES, status: acStatus() }]);
+    }
+
+    afterEach(async () => {
+      await other?.idle();
+      await other?.stop();
+      other = null;
+    });
+
+    test('계정마다 장치를 연동하고 추가 계정의 UUID는 계정 이름으로 구분한다', async () => {
+      await launchAccounts();
+      await waitFor(() => platform.deviceIds.size === 2);
+
+      expect(platform.accounts.map(a => a.id)).toEqual(['default', '부모님 댁']);
+      expect(accessory('거실 에어컨').UUID).toBe(hap.uuid.generate('ac-1'));
+      expect(accessory('부모님 에어컨').UUID).toBe(hap.uuid.generate('account:부모님 댁:ac-9'));
+      expect(accessory('부모님 에어컨').context.account).toBe('부모님 댁');
+
+      await characteristic('부모님 에어컨', Service.HeaterCooler, Characteristic.Active).handleSetRequest(0);
+      expect(other.commands.map(c => c.deviceId)).toEqual(['ac-9']);
+      expect(fake.commands).toHaveLength(0);
+    });
+
+    test('재시작 중에 지난 예약은 장치를 연동한 계정으로 실행한다', async () => {
+      fs.writeFileSync(path.join(dir, 'smartthings_ac_timers.json'), JSON.stringify({
+        'ac-9:offTimer': { deviceId: 'ac-9', kind: 'offTimer', mode: 'plugin', deadline: Date.now() - 1000 },
+      }));
+      await launchAccounts();
+      await waitFor(() => other.commands.length > 0);
+
+      expect(other.commands).toEqual([{ deviceId: 'ac-9', commands: [{ component: 'main', capability: 'switch', command: 'off' }] }]);
+      expect(fake.commands).toHaveLength(0);
+    });
+
+    test('다른 계정에서 이미 연동한 장치는 건너뛴다', async () => {
+      await launchAccounts({ otherDevices: [{ deviceId: 'ac-1', label: '부모님 에어컨', components: AC_CAPABILITIES, status: acStatus() }] });
+      await waitFor(() => warnings().some(w => w.includes("'default' 계정에서 이미 연동되어")));
+
+      expect(platform.deviceAccounts.get('ac-1').id).toBe('default');
+      expect(api.registered.map(a => a.displayName)).toEqual(['거실 에어컨']);
+    });
+
+    test('인증 콜백은 state로 계정을 구분한다', async () => {
+      await launchAccounts({ otherHasToken: false });
+      const account = platform.accounts[1];
+      await waitFor(() => account.authSession !== null);
+      expect(log.messages.some(m => m.message.startsWith('[부모님 댁] 인증 URL:'))).toBe(true);
+
+      expect(await request(AUTH_PORT, '/callback?code=other-code&state=wrong')).toBe(400);
+      expect(await request(AUTH_PORT, `/callback?code=other-code&state=${account.authSession.state}`)).toBe(200);
+      await waitFor(() => platform.deviceIds.has('ac-9'));
+
+      expect(other.tokenRequests).toEqual([{ grantType: 'authorization_code' }]);
+      expect(fake.tokenRequests).toHaveLength(0);
+      expect(fs.existsSync(path.join(dir, SmartThings.tokenFileName('부모님 댁')))).toBe(true);
+    });
+  });
+
+  describe('HomeKit 특성 연결', () => {
+    const devices = [{ deviceId: 'ac-1', label: '거실 에어컨', components: AC_CAPABILITIES, status: acStatus() }];
+
+    test('전원과 현재 상태를 SmartThings 상태에서 읽는다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨' }] }, devices);
+
+      await expect(characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.Active).handleGetRequest()).resolves.toBe(1);
+      await expect(characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.CurrentHeaterCoolerState).handleGetRequest())
+        .resolves.toBe(Characteristic.CurrentHeaterCoolerState.COOLING);
+      await expect(characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.CurrentTemperature).handleGetRequest()).resolves.toBe(27);
+    });
+
+    test('HomeKit에서 바꾼 값을 명령으로 보낸다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨' }] }, devices);
+
+      await characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.CoolingThresholdTemperature).handleSetRequest(22);
+      await characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.Active).handleSetRequest(0);
+
+      expect(fake.commands.map(c => c.commands[0])).toEqual([
+        { component: 'main', capability: 'thermostatCoolingSetpoint', command: 'setCoolingSetpoint', arguments: [22] },
+        { component: 'main', capability: 'switch', command: 'off' },
+      ]);
+      expect(fake.getValue('ac-1', 'main', 'switch', 'switch')).toBe('off');
+    });
+
+    test('온도 범위와 목표 상태 선택지를 설정대로 제한한다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨', temperatureMin: 20, temperatureMax: 26, autoModeCommand: 'auto' }] }, devices);
+
+      expect(characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.CoolingThresholdTemperature).props)
+        .toMatchObject({ minValue: 20, maxValue: 26, minStep: 1 });
+      const { TargetHeaterCoolerState: TargetState } = Characteristic;
+      expect(characteristic('거실 에어컨', Service.HeaterCooler, TargetState).props.validValues.sort())
+        .toEqual([TargetState.AUTO, TargetState.COOL].sort());
+    });
+
+    test('기기가 오프라인이면 응답 없음으로 알린다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨' }] }, devices);
+      platform.accounts[0].smartthings.applyHealthEvent({ deviceId: 'ac-1', status: 'OFFLINE' });
+
+      const active = characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.Active);
+      await expect(active.handleGetRequest()).rejects.toMatchObject({ hapStatus: hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE });
+      await expect(active.handleSetRequest(1)).rejects.toBeInstanceOf(hap.HapStatusError);
+      expect(fake.commands).toHaveLength(0);
+    });
+  });
+
+  describe('꺼짐 예약', () => {
+    const devices = () => {
+      const status = acStatus();
+      status.zone2 = { switch: { switch: { value: 'on' } } };
+      const components = [...AC_CAPABILITIES, { id: 'zone2', capabilities: [{ id: 'switch' }] }];
+      return [{ deviceId: 'ac-1', label: '거실 에어컨', components, status }];
+    };
+    const overdue = entry => fs.writeFileSync(path.join(dir, 'smartthings_ac_timers.json'), JSON.stringify({
+      'ac-1:offTimer': { deviceId: 'ac-1', kind: 'offTimer', mode: 'plugin', deadline: Date.now() - 1000, ...entry },
+    }));
+    const config = { devices: [{ deviceLabel: '거실 에어컨', exposeOffTimer: true, components: [{ component: 'zone2', name: '안방' }] }] };
+
+    test('존 액세서리를 꺼도 본체의 꺼짐 예약은 유지한다', async () => {
+      await launch(config, devices());
+      await characteristic('거실 에어컨 - 꺼짐 예약', Service.Valve, Characteristic.Active).handleSetRequest(1);
+      await characteristic('거실 에어컨 - 안방', Service.HeaterCooler, Characteristic.Active).handleSetRequest(0);
+
+      expect(platform.timers.get('ac-1:offTimer')).not.toBeNull();
+      expect(fake.getValue('ac-1', 'zone2', 'switch', 'switch')).toBe('off');
+    });
+
+    test('마감 시각에 이미 꺼져 있으면 끄기 명령을 보내지 않는다', async () => {
+      overdue({ scheduledAt: Date.now() - 60 * 60 * 1000 });
+      const list = devices();
+      list[0].status.main.switch.switch.value = 'off';
+      await launch(config, list);
+      await waitFor(() => log.messages.some(m => m.message.includes('이미 꺼져 있습니다')));
+
+      expect(fake.commands).toHaveLength(0);
+      expect(platform.timers.get('ac-1:offTimer')).toBeNull();
+    });
+
+    test('예약 이후 리모컨으로 다시 켰으면 끄지 않는다', async () => {
+      overdue({ scheduledAt: Date.now() - 60 * 60 * 1000 });
+      const list = devices();
+      list[0].status.main.switch.switch.timestamp = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+      await launch(config, list);
+      await waitFor(() => log.messages.some(m => m.message.includes('다시 켜서 끄지 않습니다')));
+
+      expect(fake.commands).toHaveLength(0);
+    });
+  });
+
+  describe('끄기 전 건조', () => {
+    const devices = () => {
+      const status = acStatus();
+      status.zone2 = {
+        switch: { switch: { value: 'on' } },
+        airConditionerMode: { airConditionerMode: { value: 'cool' } },
+      };
+      const components = [...AC_CAPABILITIES, { id: 'zone2', capabilities: [{ id: 'switch' }, { id: 'airConditionerMode' }] }];
+      return [{ deviceId: 'ac-1', label: '거실 에어컨', components, status }];
+    };
+
+    test('존 액세서리는 컴포넌트 항목의 건조 설정을 따른다', async () => {
+      await launch({
+        devices: [{
+          deviceLabel: '거실 에어컨',
+          dryBeforeOff: true,
+          components: [{ component: 'zone2', name: '안방', dryBeforeOffMode: 'wind', dryBeforeOffMinutes: 5 }],
+        }],
+      }, devices());
+      const before = Date.now();
+      await characteristic('거실 에어컨 - 안방', Service.HeaterCooler, Characteristic.Active).handleSetRequest(0);
+
+      const entry = platform.timers.get('ac-1:zone2:dryCycle');
+      expect(entry).toMatchObject({ component: 'zone2', mode: 'wind' });
+      expect(entry.deadline - before).toBeLessThanOrEqual(5 * 60 * 1000 + 1000);
+      expect(fake.getValue('ac-1', 'zone2', 'airConditionerMode', 'airConditionerMode')).toBe('wind');
+      expect(fake.getValue('ac-1', 'zone2', 'switch', 'switch')).toBe('on');
+    });
+
+    test('건조 운전 중 리모컨으로 다른 모드를 고르면 건조 운전을 취소하고 실제 전원 상태를 보여준다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨', dryBeforeOff: true }] }, devices());
+      const active = characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.Active);
+      await active.handleSetRequest(0);
+      expect(platform.timers.get('ac-1:dryCycle')).toMatchObject({ mode: 'dry', previousMode: 'cool' });
+      await expect(active.handleGetRequest()).resolves.toBe(0);
+
+      fake.setStatus('ac-1', 'main', 'airConditionerMode', 'airConditionerMode', 'cool');
+      platform.accounts[0].smartthings.invalidateStatus('ac-1');
+      await expect(active.handleGetRequest()).resolves.toBe(1);
+      expect(platform.timers.get('ac-1:dryCycle')).toBeNull();
+      expect(log.messages.some(m => m.message.includes('모드가 바뀌어 건조 운전을 취소'))).toBe(true);
+
+      // 취소된 뒤 HomeKit에서 끄면 건조 운전을 새로 시작
+      await active.handleSetRequest(0);
+      expect(platform.timers.get('ac-1:dryCycle')).toMatchObject({ mode: 'dry', previousMode: 'cool' });
+    });
+
+    test('컴포넌트 항목에서 건조를 끄면 본체 설정과 무관하게 바로 끈다', async () => {
+      await launch({
+        devices: [{ deviceLabel: '거실 에어컨', dryBeforeOff: true, components: [{ component: 'zone2', name: '안방', dryBeforeOff: false }] }],
+      }, devices());
+      await characteristic('거실 에어컨 - 안방', Service.HeaterCooler, Characteristic.Active).handleSetRequest(0);
+
+      expect(platform.timers.get('ac-1:zone2:dryCycle')).toBeNull();
+      expect(fake.getValue('ac-1', 'zone2', 'switch', 'switch')).toBe('off');
+    });
+  });
+
+  describe('프리셋', () => {
+    const devices = () => {
+      const status = acStatus();
+      status.main.switch.switch.value = 'off';
+      status.main['custom.airConditionerOptionalMode'] = {
+        acOptionalMode: { value: 'off' },
+        supportedAcOptionalMode: { value: ['off', 'windFree', 'sleep'] },
+      };
+      return [{ deviceId: 'ac-1', label: '거실 에어컨', components: AC_CAPABILITIES, status }];
+    };
+    const preset = { name: '무풍 냉방', mode: 'cool', setpoint: 26, fanMode: 'auto', optionalMode: 'windFree' };
+
+    test('켜면 모든 명령을 한 요청으로 보내고, 상태가 일치하는 동안만 켜짐으로 표시한다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨', presets: [preset] }] }, devices());
+      const on = characteristic('거실 에어컨 - 무풍 냉방', Service.Switch, Characteristic.On);
+      await expect(on.handleGetRequest()).resolves.toBe(false);
+
+      await on.handleSetRequest(true);
+      expect(fake.commands).toHaveLength(1);
+      expect(fake.commands[0].commands.map(c => `${c.capability}.${c.command}(${c.arguments || ''})`)).toEqual([
+        'switch.on()',
+        'airConditionerMode.setAirConditionerMode(cool)',
+        'thermostatCoolingSetpoint.setCoolingSetpoint(26)',
+        'airConditionerFanMode.setFanMode(auto)',
+        'custom.airConditionerOptionalMode.setAcOptionalMode(windFree)',
+      ]);
+      await expect(on.handleGetRequest()).resolves.toBe(true);
+
+      fake.setStatus('ac-1', 'main', 'thermostatCoolingSetpoint', 'coolingSetpoint', 24);
+      platform.accounts[0].smartthings.invalidateStatus('ac-1');
+      await expect(on.handleGetRequest()).resolves.toBe(false);
+    });
+
+    test('끄기는 기기를 바꾸지 않고, 잘못된 프리셋은 경고 후 건너뛴다', async () => {
+      await launch({
+        devices: [{ deviceLabel: '거실 에어컨', presets: [preset, { name: '빈 프리셋' }, { ...preset, optionalMode: 'turbo' }] }],
+      }, devices());
+      await characteristic('거실 에어컨 - 무풍 냉방', Service.Switch, Characteristic.On).handleSetRequest(false);
+
+      expect(fake.commands).toHaveLength(0);
+      expect(api.registered.filter(a => a.displayName.startsWith('거실 에어컨 - '))).toHaveLength(1);
+      expect(warnings().some(w => w.includes('적용할 값이 없는 프리셋'))).toBe(true);
+      expect(warnings().some(w => w.includes("프리셋 이름 '무풍 냉방'"))).toBe(true);
+    });
+  });
+
+  describe('외부 온도 센서', () => {
+    // 테스트에서 센서 값을 바꾸므로 매번 새로 만듦
+    const devices = () => [
+      { deviceId: 'ac-1', label: '거실 에어컨', components: AC_CAPABILITIES, status: acStatus() },
+      {
+        deviceId: 'sensor-1',
+        label: '거실 온도계',
+        components: [{ id: 'main', capabilities: [{ id: 'temperatureMeasurement' }] }],
+        status: { main: { temperatureMeasurement: { temperature: { value: 25.5 } } } },
+      },
+    ];
+
+    test('현재 온도를 외부 센서에서 읽고, 읽지 못하면 에어컨 센서 값을 쓴다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨', temperatureSensorDeviceId: 'sensor-1' }] }, devices());
+      const current = characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.CurrentTemperature);
+      await expect(current.handleGetRequest()).resolves.toBe(25.5);
+      expect(platform._sensorIds(platform.accounts[0])).toEqual(['sensor-1']);
+
+      fake.setStatus('sensor-1', 'main', 'temperatureMeasurement', 'temperature', undefined);
+      platform.accounts[0].smartthings.invalidateStatus('sensor-1');
+      await expect(current.handleGetRequest()).resolves.toBe(27);
+      expect(warnings().some(w => w.includes('외부 온도 센서(sensor-1)를 읽지 못해'))).toBe(true);
+    });
+
+    test('쾌적 제어(setpoint)는 HomeKit 목표 온도를 지키고 방 온도에 맞춰 설정 온도를 조절한다', async () => {
+      await launch({
+        devices: [{ deviceLabel: '거실 에어컨', temperatureSensorDeviceId: 'sensor-1', comfortControl: 'setpoint', comfortMinHoldMinutes: 0 }],
+      }, devices());
+      const threshold = characteristic('거실 에어컨', Service.HeaterCooler, Characteristic.CoolingThresholdTemperature);
+      await threshold.handleSetRequest(24);
+
+      await expect(platform.comfort.get('ac-1').get('main').evaluate()).resolves.toEqual({ setpoint: 23 });
+      expect(fake.getValue('ac-1', 'main', 'thermostatCoolingSetpoint', 'coolingSetpoint')).toBe(23);
+      await expect(threshold.handleGetRequest()).resolves.toBe(24);
+    });
+
+    test('외부 센서 없이 쾌적 제어를 켜면 경고 후 사용하지 않는다', async () => {
+      await launch({ devices: [{ deviceLabel: '거실 에어컨', comfortControl: 'windFree' }] }, devices());
+      expect(platform.comfort.size).toBe(0);
+      expect(warnings().some(w => w.includes('외부 온도 센서(temperatureSensorDeviceId)가 필요'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+// test/support/FakeSmartThings.js
+'use strict';
+
+const http = require('http');
+
+// 로컬에서 띄우는 SmartThings API 대역. 장치 목록/상태/명령, OAuth 인증·토큰 발급·갱신과
+// 401/429/5xx 같은 오류 주입을 지원. apiBaseUrl/authBaseUrl 설정으로 플러그인을 이 서버에 연결
+//   node test/support/FakeSmartThings.js [port]   단독 실행 (샘플 에어컨 1대)
+class FakeSmartThings {
+  /**
+   * @param {object} [opts]
+   * @param {Array<{ deviceId: string, label: string, components?: object[], status?: object }>} [opts.devices]
+   *   status는 { main: { capability: { attribute: { value } } } } 형태
+   * @param {string} [opts.clientId]
+   * @param {string} [opts.clientSecret]
+   * @param {string} [opts.authCode] 토큰 교환에 허용할 인증 코드
+   */
+  constructor({ devices = [], clientId = 'test-client', clientSecret = 'test-secret', authCode = 'test-code' } = {}) {
+    this.devices = new Map(devices.map(d => [d.deviceId, { components: [], status: {}, health: 'ONLINE', ...d }]));
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.authCode = authCode;
+
+    this.tokenSeq = 0;
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.installedAppId = 'installed-app-1';
+
+    this.requests = []; // { method, path, authorization, body }
+    this.commands = []; // { deviceId, commands }
+    this.tokenRequests = []; // { grantType }
+    this.faults = [];
+    this.latencyMs = 0;
+    this.inFlight = 0;
+    this.server = null;
+  }
+
+  // 첫 토큰을 미리 발급해 두고, 플러그인 persist 폴더에 저장할 토큰 파일 내용을 돌려줌
+  issueTokens(expiresIn = 86400) {
+    this.tokenSeq += 1;
+    this.accessToken = `access-${this.tokenSeq}`;
+    this.refreshToken = `refresh-${this.tokenSeq}`;
+    return {
+      access_token: this.accessToken,
+      refresh_token: this.refreshToken,
+      token_type: 'bearer',
+      expires_in: expiresIn,
+      installed_app_id: this.installedAppId,
+    };
+  }
+
+  // 액세스 토큰만 무효화 (만료 흉내). 다음 API 요청은 401
+  expireAccessToken() {
+    this.accessToken = `expired-${this.tokenSeq}`;
+  }
+
+  // 리프레시 토큰 폐기 (재인증 필요 상황)
+  revokeRefreshToken() {
+    this.refreshToken = null;
+  }
+
+  /**
+   * 오류 주입. 조건에 맞는 요청에 times번 status로 응답
+   * @param {{ method?: string, path: string|RegExp, status: number, times?: number, headers?: object, body?: any }} fault
+   */
+  inject({ method, path, status, times = 1, headers = {}, body }) {
+    this.faults.push({ method: method?.toUpperCase(), path, status, times, headers, body });
+  }
+
+  setStatus(deviceId, component, capability, attribute, value) {
+    const status = this.devices.get(deviceId).status;
+    status[component] = status[component] || {};
+    status[component][capability] = status[component][capability] || {};
+    status[component][capability][attribute] = { value };
+  }
+
+  getValue(deviceId, component, capability, attribute) {
+    return this.devices.get(deviceId)?.status[component]?.[capability]?.[attribute]?.value;
+  }
+
+  get baseUrl() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  // 플러그인 설정에 넣을 주소
+  get config() {
+    return {
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      apiBaseUrl: `${this.baseUrl}/v1`,
+      authBaseUrl: this.baseUrl,
+    };
+  }
+
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.inFlight += 1;
+        res.on('close', () => { this.inFlight -= 1; });
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          setTimeout(() => this._handle(req, res, body), this.latencyMs);
+        });
+      });
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => resolve(this.baseUrl));
+    });
+  }
+
+  // 처리 중인 요청이 없을 때까지 대기. 서버를 멈추기 전에 불러 두면 끊긴 요청의 재시도가 남지 않음
+  async idle(quietMs = 50) {
+    let quietSince = Date.now();
+    while (Date.now() - quietSince < quietMs) {
+      if (this.inFlight > 0) quietSince = Date.now();
+      await new Promise(r => setTimeout(r, 10));
+    }
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  _send(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(data === undefined ? '' : JSON.stringify(data));
+  }
+
+  _takeFault(method, path) {
+    const idx = this.faults.findIndex(f =>
+      (!f.method || f.method === method) &&
+      (f.path instanceof RegExp ? f.path.test(path) : f.path === path));
+    if (idx === -1) return null;
+    const fault = this.faults[idx];
+    if (--fault.times <= 0) this.faults.splice(idx, 1);
+    return fault;
+  }
+
+  _handle(req, res, body) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    this.requests.push({ method: req.method, path: pathname, authorization: req.headers.authorization, body });
+
+    const fault = this._takeFault(req.method, pathname);
+    if (fault) return this._send(res, fault.status, fault.body ?? { error: { code: `HTTP_${fault.status}` } }, fault.headers);
+
+    if (req.method === 'GET' && pathname === '/oauth/authorize') return this._authorize(req, res);
+    if (req.method === 'POST' && pathname === '/oauth/token') return this._token(req, res, body);
+    if (!pathname.startsWith('/v1/')) return this._send(res, 404, { error: 'not found' });
+
+    const auth = req.headers.authorization || '';
+    if (!this.accessToken || auth !== `Bearer ${this.accessToken}`) {
+      return this._send(res, 401, { error: 'invalid_token' });
+    }
+    return this._api(req.method, pathname.slice(3), body, res);
+  }
+
+  // 로그인/동의 화면 없이 바로 redirect_uri로 인증 코드를 돌려줌
+  _authorize(req, res) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const redirect = new URL(query.get('redirect_uri'));
+    redirect.searchParams.set('code', this.authCode);
+    if (query.get('state')) redirect.searchParams.set('state', query.get('state'));
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  }
+
+  _token(req, res, body) {
+    const expected = 'Basic ' + Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    if (req.headers.authorization !== expected) return this._send(res, 401, { error: 'invalid_client' });
+
+    const params = new URLSearchParams(body);
+    const grantType = params.get('grant_type');
+    this.tokenRequests.push({ grantType });
+    if (grantType === 'authorization_code' && params.get('code') === this.authCode) {
+      return this._send(res, 200, this.issueTokens());
+    }
+    if (grantType === 'refresh_token' && this.refreshToken && params.get('refresh_token') === this.refreshToken) {
+      return this._send(res, 200, this.issueTokens());
+    }
+    return this._send(res, 400, { error: 'invalid_grant' });
+  }
+
+  _api(method, path, body, res) {
+    if (method === 'GET' && path === '/devices') {
+      const items = [...this.devices.values()].map(({ deviceId, label, components }) => ({ deviceId, label, components }));
+      return this._send(res, 200, { items });
+    }
+
+    let m = /^\/devices\/([^/]+)\/(status|health|commands)$/.exec(path);
+    if (m) {
+      const device = this.devices.get(m[1]);
+      if (!device) return this._send(res, 404, { error: 'device not found' });
+      if (method === 'GET' && m[2] === 'status') return this._send(res, 200, { components: device.status });
+      if (method === 'GET' && m[2] === 'health') return this._send(res, 200, { deviceId: device.deviceId, state: device.health });
+      if (method === 'POST' && m[2] === 'commands') {
+        const { commands = [] } = JSON.parse(body || '{}');
+        this.commands.push({ deviceId: device.deviceId, commands });
+        for (const c of commands) this._apply(device, c);
+        return this._send(res, 200, { results: commands.map(() => ({ status: 'ACCEPTED' })) });
+      }
+    }
+
+    m = /^\/installedapps\/([^/]+)\/subscriptions$/.exec(path);
+    if (m && (method === 'POST' || method === 'DELETE')) return this._send(res, 200, {});
+
+    return this._send(res, 404, { error: 'not found' });
+  }
+
+  // 흔한 명령을 상태에 반영: setXxx(value) → xxx 속성, on/off → 속성이 하나인 capability
+  _apply(device, { component = 'main', capability, command, arguments: args = [] }) {
+    const attrs = device.status[component]?.[capability];
+    if (!attrs) return;
+    if ((command === 'on' || command === 'off') && Object.keys(attrs).length === 1) {
+      attrs[Object.keys(attrs)[0]] = { value: command };
+    } else if (command.startsWith('set') && args.length > 0) {
+      const attribute = command[3].toLowerCase() + command.slice(4);
+      if (attribute in attrs) attrs[attribute] = { ...attrs[attribute], value: args[0] };
+    }
+  }
+}
+
+module.exports = FakeSmartThings;
+
+if (require.main === module) {
+  const fake = new FakeSmartThings({
+    devices: [{
+      deviceId: 'fake-ac-1',
+      label: '거실 에어컨',
+      components: [{ id: 'main', capabilities: [{ id: 'switch' }, { id: 'airConditionerMode' }] }],
+      status: {
+        main: {
+          switch: { switch: { value: 'off' } },
+          airConditionerMode: { airConditionerMode: { value: 'cool' }, supportedAcModes: { value: ['cool', 'dry', 'wind', 'auto'] } },
+          temperatureMeasurement: { temperature: { value: 27, unit: 'C' } },
+          thermostatCoolingSetpoint: { coolingSetpoint: { value: 24, unit: 'C' } },
+          airConditionerFanMode: { fanMode: { value: 'auto' }, supportedAcFanModes: { value: ['auto', 'low', 'medium', 'high'] } },
+        },
+      },
+    }],
+  });
+  fake.start(Number(process.argv[2]) || 0).then((baseUrl) => {
+    console.log(`가짜 SmartThings 서버: ${baseUrl} (인증 코드: ${fake.authCode})`);
+    console.log(JSON.stringify({ ...fake.config }, null, 2));
+  });
+}
@@ -0,0 +1,242 @@
+// test/support/homebridge.js
+'use strict';
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// 테스트용 최소 HAP/Homebridge API. 플러그인이 쓰는 부분(get/set 이벤트, props, 서비스 구성)만 흉내냄
+
+class HapStatusError extends Error {
+  constructor(hapStatus) {
+    super(`HAP status ${hapStatus}`);
+    this.hapStatus = hapStatus;
+  }
+}
+
+const HAPStatus = { SUCCESS: 0, SERVICE_COMMUNICATION_FAILURE: -70402 };
+const Formats = { BOOL: 'bool', UINT8: 'uint8', FLOAT: 'float', STRING: 'string' };
+const Perms = { PAIRED_READ: 'pr', PAIRED_WRITE: 'pw', NOTIFY: 'ev' };
+
+class Characteristic extends EventEmitter {
+  constructor(displayName, UUID, props = {}) {
+    super();
+    this.displayName = displayName;
+    this.UUID = UUID;
+    this.props = { ...props };
+    this.value = null;
+    this.lastError = null;
+  }
+
+  getDefaultValue() {
+    return this.props.minValue ?? 0;
+  }
+
+  setProps(props) {
+    Object.assign(this.props, props);
+    return this;
+  }
+
+  setValue(value) {
+    this.value = value;
+    return this;
+  }
+
+  updateValue(value) {
+    if (value instanceof Error) {
+      this.lastError = value;
+    } else {
+      this.lastError = null;
+      this.value = value;
+    }
+    return this;
+  }
+
+  // HomeKit의 읽기 요청. 'get' 핸들러가 오류를 돌려주면 reject
+  handleGetRequest() {
+    return new Promise((resolve, reject) => {
+      if (this.listenerCount('get') === 0) return resolve(this.value);
+      this.emit('get', (err, value) => {
+        if (err) return reject(err);
+        this.value = value;
+        resolve(value);
+      });
+    });
+  }
+
+  handleSetRequest(value) {
+    return new Promise((resolve, reject) => {
+      if (this.listenerCount('set') === 0) {
+        this.value = value;
+        return resolve();
+      }
+      this.emit('set', value, (err) => {
+        if (err) return reject(err);
+        this.value = value;
+        resolve();
+      });
+    });
+  }
+}
+
+// 이름과 상수만 있는 특성 클래스 생성
+function defineCharacteristic(name, constants = {}, props = {}) {
+  const Type = class extends Characteristic {
+    constructor() {
+      super(name, Type.UUID, props);
+    }
+  };
+  Object.defineProperty(Type, 'name', { value: name });
+  Type.UUID = `char-${name}`;
+  Object.assign(Type, constants);
+  Characteristic[name] = Type;
+}
+
+defineCharacteristic('Name');
+defineCharacteristic('Manufacturer');
+defineCharacteristic('Model');
+defineCharacteristic('SerialNumber');
+defineCharacteristic('FirmwareRevision');
+defineCharacteristic('Active', { INACTIVE: 0, ACTIVE: 1 });
+defineCharacteristic('On');
+defineCharacteristic('InUse', { NOT_IN_USE: 0, IN_USE: 1 });
+defineCharacteristic('OutletInUse');
+defineCharacteristic('CurrentHeaterCoolerState', { INACTIVE: 0, IDLE: 1, HEATING: 2, COOLING: 3 });
+defineCharacteristic('TargetHeaterCoolerState', { AUTO: 0, HEAT: 1, COOL: 2 });
+defineCharacteristic('CurrentTemperature', {}, { minValue: -270, maxValue: 100 });
+defineCharacteristic('CoolingThresholdTemperature', {}, { minValue: 10, maxValue: 35, minStep: 0.1 });
+defineCharacteristic('HeatingThresholdTemperature', {}, { minValue: 0, maxValue: 25, minStep: 0.1 });
+defineCharacteristic('CurrentRelativeHumidity', {}, { minValue: 0, maxValue: 100 });
+defineCharacteristic('RotationSpeed', {}, { minValue: 0, maxValue: 100 });
+defineCharacteristic('SwingMode', { SWING_DISABLED: 0, SWING_ENABLED: 1 });
+defineCharacteristic('LockPhysicalControls', { CONTROL_LOCK_DISABLED: 0, CONTROL_LOCK_ENABLED: 1 });
+defineCharacteristic('TargetFanState', { MANUAL: 0, AUTO: 1 });
+defineCharacteristic('AirQuality', { UNKNOWN: 0, EXCELLENT: 1, GOOD: 2, FAIR: 3, INFERIOR: 4, POOR: 5 });
+defineCharacteristic('PM2_5Density');
+defineCharacteristic('PM10Density');
+defineCharacteristic('FilterChangeIndication', { FILTER_OK: 0, CHANGE_FILTER: 1 });
+defineCharacteristic('FilterLifeLevel');
+defineCharacteristic('ResetFilterIndication');
+defineCharacteristic('ValveType', { GENERIC_VALVE: 0, IRRIGATION: 1, SHOWER_HEAD: 2, WATER_FAUCET: 3 });
+defineCharacteristic('SetDuration', {}, { minValue: 0, maxValue: 3600 });
+defineCharacteristic('RemainingDuration', {}, { minValue: 0, maxValue: 3600 });
+
+class Service {
+  constructor(displayName, UUID, subtype) {
+    this.displayName = displayName;
+    this.UUID = UUID;
+    this.subtype = subtype;
+    this.characteristics = [];
+    this.optionalCharacteristics = [];
+  }
+
+  getCharacteristic(Type) {
+    let char = this.characteristics.find(c => c instanceof Type);
+    if (!char) {
+      char = new Type();
+      this.characteristics.push(char);
+    }
+    return char;
+  }
+
+  testCharacteristic(Type) {
+    return this.characteristics.some(c => c instanceof Type);
+  }
+
+  setCharacteristic(Type, value) {
+    this.getCharacteristic(Type).setValue(value);
+    return this;
+  }
+
+  updateCharacteristic(Type, value) {
+    this.getCharacteristic(Type).updateValue(value);
+    return this;
+  }
+
+  addOptionalCharacteristic(Type) {
+    this.optionalCharacteristics.push(Type);
+  }
+
+  removeCharacteristic(char) {
+    this.characteristics = this.characteristics.filter(c => c !== char);
+  }
+}
+
+function defineService(name) {
+  const Type = class extends Service {
+    constructor(displayName, subtype) {
+      super(displayName, Type.UUID, subtype);
+    }
+  };
+  Object.defineProperty(Type, 'name', { value: name });
+  Type.UUID = `service-${name}`;
+  Service[name] = Type;
+}
+
+for (const name of [
+  'AccessoryInformation', 'HeaterCooler', 'Fanv2', 'Switch', 'Outlet', 'Valve',
+  'HumiditySensor', 'AirQualitySensor', 'FilterMaintenance',
+]) defineService(name);
+
+class PlatformAccessory {
+  constructor(displayName, UUID) {
+    this.displayName = displayName;
+    this.UUID = UUID;
+    this.context = {};
+    this.services = [new Service.AccessoryInformation(displayName)];
+  }
+
+  getService(typeOrName) {
+    if (typeof typeOrName === 'string') {
+      return this.services.find(s => s.displayName === typeOrName || s.subtype === typeOrName);
+    }
+    return this.services.find(s => s.UUID === typeOrName.UUID);
+  }
+
+  addService(serviceOrType, ...args) {
+    const service = serviceOrType instanceof Service ? serviceOrType : new serviceOrType(...args);
+    this.services.push(service);
+    return service;
+  }
+
+  removeService(service) {
+    this.services = this.services.filter(s => s !== service);
+  }
+}
+
+const uuid = {
+  generate: data => {
+    const h = crypto.createHash('sha1').update(String(data)).digest('hex');
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+  },
+};
+
+const hap = { Characteristic, Service, HapStatusError, HAPStatus, Formats, Perms, uuid };
+
+// 가짜 Homebridge API. 플러그인 등록 결과(Platform 클래스)와 등록된 액세서리를 확인할 수 있음
+function createHomebridgeApi({ persistPath }) {
+  const api = new EventEmitter();
+  api.hap = hap;
+  api.platformAccessory = PlatformAccessory;
+  api.user = { persistPath: () => persistPath, storagePath: () => persistPath };
+  api.registered = [];
+  api.Platform = null;
+  api.registerPlatform = (pluginName, platformName, Platform) => { api.Platform = Platform; };
+  api.registerPlatformAccessories = (pluginName, platformName, accessories) => api.registered.push(...accessories);
+  api.unregisterPlatformAccessories = (pluginName, platformName, accessories) => {
+    api.registered = api.registered.filter(a => !accessories.includes(a));
+  };
+  api.updatePlatformAccessories = () => {};
+  return api;
+}
+
+// Homebridge 로거 흉내. 기록된 메시지는 log.messages로 확인
+function createLogger() {
+  const messages = [];
+  const write = level => (...args) => messages.push({ level, message: args.join(' ') });
+  const log = write('info');
+  Object.assign(log, { info: write('info'), warn: write('warn'), error: write('error'), debug: write('debug'), success: write('info') });
+  log.messages = messages;
+  return log;
+}
+
+module.exports = { hap, PlatformAccessory, createHomebridgeApi, createLogger };